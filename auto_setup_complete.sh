@@ -165,7 +165,7 @@ async function handleAnalyze(text) {
     
     try {
       const output = await classifier(sentence.trim());
-      const probability = calculateProbability(sentence, output[0].score);
+      const probability = output[0].score;
       
       results.push({
         text: sentence.trim(),
@@ -181,13 +181,6 @@ async function handleAnalyze(text) {
   return results;
 }
 
-function calculateProbability(text, score) {
-  let prob = 0.3;
-  const ai = ['artificial intelligence', 'machine learning', 'furthermore'];
-  ai.forEach(kw => { if (text.toLowerCase().includes(kw)) prob += 0.1; });
-  return Math.min(prob + score * 0.2, 1);
-}
-
 async function updateStats(results) {
   const { analysisStats = { total: 0, high: 0, medium: 0, low: 0 } } = 
     await chrome.storage.local.get('analysisStats');
@@ -738,19 +731,9 @@ classifier = await pipeline(
 
 ### Adjust Thresholds
 
-In `background.js`, modify:
-
-```javascript
-function calculateProbability(text, score) {
-  let prob = 0.3; // Base probability (adjust 0.0-1.0)
-  // Adjust keyword weights
-  ai.forEach(kw => { 
-    if (text.toLowerCase().includes(kw)) 
-      prob += 0.1; // Increase/decrease sensitivity
-  });
-  return Math.min(prob + score * 0.2, 1);
-}
-```
+Heuristic rules are not part of the generated files. They live in the
+repository's versioned rule packs under `extension/rules/`; edit those
+instead of scoring code.
 
 ## Troubleshooting
 
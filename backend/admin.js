@@ -0,0 +1,80 @@
+import express from 'express';
+import {REVIEW_LABELS} from './labels.js';
+
+// Routes behind the review dashboard (public/admin). Mounted under
+// /api/admin with an admin key required; the key's name is recorded as the
+// reviewer on every change.
+
+export const BULK_ACTIONS = ['label', 'clear_label', 'exclude', 'include'];
+export const MAX_BULK_IDS = 1000;
+
+export function createAdminRouter({feedback}) {
+  const router = express.Router();
+
+  router.get('/whoami', (req, res) => {
+    const {id, name, role} = req.apiKey;
+    res.json({id, name, role});
+  });
+
+  // Body: {label: 'ai' | 'human' | 'mixed' | null}
+  router.post('/feedback/:id/label', (req, res) => {
+    const label = req.body && req.body.label;
+    if (label !== null && !REVIEW_LABELS.includes(label)) {
+      return res.status(400).json({
+        error: 'Invalid label',
+        errors: [{field: 'label', message: `must be one of ${REVIEW_LABELS.join(', ')} or null`}]
+      });
+    }
+
+    const record = feedback.update(Number(req.params.id), reviewChanges(req, label));
+    if (!record) return res.status(404).json({error: `Unknown feedback id ${req.params.id}`});
+    res.json(record);
+  });
+
+  // Body: {ids: [...], action: 'label' | 'clear_label' | 'exclude' | 'include', label}
+  router.post('/feedback/bulk', (req, res) => {
+    const {ids, action, label} = req.body || {};
+    const errors = [];
+
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(Number.isInteger)) {
+      errors.push({field: 'ids', message: 'must be a non-empty array of feedback ids'});
+    } else if (ids.length > MAX_BULK_IDS) {
+      errors.push({field: 'ids', message: `must contain at most ${MAX_BULK_IDS} ids`});
+    }
+    if (!BULK_ACTIONS.includes(action)) {
+      errors.push({field: 'action', message: `must be one of ${BULK_ACTIONS.join(', ')}`});
+    }
+    if (action === 'label' && !REVIEW_LABELS.includes(label)) {
+      errors.push({field: 'label', message: `must be one of ${REVIEW_LABELS.join(', ')}`});
+    }
+    if (errors.length) {
+      return res.status(400).json({error: 'Invalid bulk action', errors});
+    }
+
+    const changes = {
+      label: reviewChanges(req, label),
+      clear_label: reviewChanges(req, null),
+      exclude: {excluded: true},
+      include: {excluded: false}
+    }[action];
+
+    const missing = [];
+    let updated = 0;
+    ids.forEach(id => {
+      if (feedback.update(id, changes)) updated++;
+      else missing.push(id);
+    });
+
+    res.json({action, updated, missing});
+  });
+
+  return router;
+}
+
+function reviewChanges(req, label) {
+  return {
+    review_label: label,
+    reviewed_by: label ? {id: req.apiKey.id, name: req.apiKey.name} : null,
+    reviewed_at: label ? new Date().toISOString() : null
+  };
+}
@@ -0,0 +1,185 @@
+// Inter-annotator agreement for the labeling queue (see queue.js).
+// Only items with at least two annotations say anything about agreement.
+//
+//   consensus     per item: majority label (null on a tie) and the share of
+//                 annotators who chose it
+//   cohen_kappa   per annotator pair, over the items both labeled
+//   fleiss_kappa  overall, using the generalization that allows a varying
+//                 number of annotators per item
+//
+// Annotators are compared against each item's reference label: the final
+// label once resolved, otherwise the consensus. Those who match it less
+// often than `threshold` over at least `minItems` items are flagged.
+
+export const DEFAULT_DIVERGENCE_THRESHOLD = 0.6;
+export const DEFAULT_MIN_ITEMS = 10;
+
+export function itemConsensus(item) {
+  const votes = {};
+  item.annotations.forEach(({label}) => { votes[label] = (votes[label] || 0) + 1; });
+  const ranked = Object.entries(votes).sort((a, b) => b[1] - a[1]);
+  const n = item.annotations.length;
+  const tied = ranked.length > 1 && ranked[0][1] === ranked[1][1];
+
+  return {
+    consensus: n && !tied ? ranked[0][0] : null,
+    agreement: n ? round(ranked[0][1] / n) : null,
+    unanimous: n > 0 && ranked.length === 1,
+    votes
+  };
+}
+
+// options: {threshold, minItems, includeItems}; per-item consensus is only
+// listed with includeItems
+export function agreementReport(queueItems, {threshold = DEFAULT_DIVERGENCE_THRESHOLD, minItems = DEFAULT_MIN_ITEMS, includeItems = false} = {}) {
+  const items = queueItems
+    .filter(item => item.annotations.length >= 2)
+    .map(item => {
+      const consensus = itemConsensus(item);
+      const reference = item.status === 'resolved' ? item.label : consensus.consensus;
+      return {item, ...consensus, reference};
+    });
+
+  const report = {
+    items: items.length,
+    annotations: items.reduce((sum, {item}) => sum + item.annotations.length, 0),
+    percent_agreement: percentAgreement(items),
+    fleiss_kappa: fleissKappa(items),
+    pairs: pairwiseKappa(items),
+    annotators: annotatorDivergence(items, threshold, minItems),
+    threshold,
+    min_items: minItems
+  };
+  if (includeItems) {
+    report.consensus = items.map(({item, consensus, agreement, unanimous, votes, reference}) => ({
+      id: item.id,
+      text_hash: item.text_hash,
+      status: item.status,
+      consensus,
+      agreement,
+      unanimous,
+      votes,
+      label: reference
+    }));
+  }
+  return report;
+}
+
+// text_hash -> {annotations, agreement} for every annotated queue item,
+// attached to exported rows
+export function labelQuality(queueItems) {
+  const quality = new Map();
+  queueItems.forEach(item => {
+    if (!item.annotations.length) return;
+    quality.set(item.text_hash, {
+      annotations: item.annotations.length,
+      agreement: itemConsensus(item).agreement
+    });
+  });
+  return quality;
+}
+
+// The headline numbers, for export manifests and headers
+export function qualitySummary(report) {
+  const {items, annotations, percent_agreement, fleiss_kappa, threshold, min_items} = report;
+  return {
+    items,
+    annotations,
+    percent_agreement,
+    fleiss_kappa,
+    flagged_annotators: report.annotators.filter(a => a.flagged).map(({id, name}) => ({id, name})),
+    threshold,
+    min_items
+  };
+}
+
+// Mean share of agreeing annotator pairs per item (Fleiss' P-bar)
+function percentAgreement(items) {
+  if (!items.length) return null;
+  return round(mean(items.map(({votes, item}) => pairAgreement(votes, item.annotations.length))));
+}
+
+function fleissKappa(items) {
+  if (!items.length) return null;
+
+  const totals = {};
+  let ratings = 0;
+  items.forEach(({votes}) => {
+    Object.entries(votes).forEach(([label, n]) => {
+      totals[label] = (totals[label] || 0) + n;
+      ratings += n;
+    });
+  });
+
+  const observed = mean(items.map(({votes, item}) => pairAgreement(votes, item.annotations.length)));
+  const expected = Object.values(totals).reduce((sum, n) => sum + (n / ratings) ** 2, 0);
+  return kappa(observed, expected);
+}
+
+function pairAgreement(votes, n) {
+  return Object.values(votes).reduce((sum, k) => sum + k * (k - 1), 0) / (n * (n - 1));
+}
+
+function pairwiseKappa(items) {
+  const pairs = new Map();
+
+  items.forEach(({item}) => {
+    const annotations = [...item.annotations].sort((a, b) => a.annotator.id.localeCompare(b.annotator.id));
+    for (let i = 0; i < annotations.length; i++) {
+      for (let j = i + 1; j < annotations.length; j++) {
+        const [a, b] = [annotations[i], annotations[j]];
+        const key = `${a.annotator.id}:${b.annotator.id}`;
+        if (!pairs.has(key)) pairs.set(key, {annotators: [a.annotator, b.annotator], labels: []});
+        pairs.get(key).labels.push([a.label, b.label]);
+      }
+    }
+  });
+
+  return [...pairs.values()].map(({annotators, labels}) => {
+    const n = labels.length;
+    const observed = labels.filter(([a, b]) => a === b).length / n;
+    const first = frequencies(labels.map(([a]) => a));
+    const second = frequencies(labels.map(([, b]) => b));
+    const expected = Object.keys(first).reduce((sum, label) => sum + first[label] * (second[label] || 0), 0);
+    return {annotators, items: n, agreement: round(observed), cohen_kappa: kappa(observed, expected)};
+  });
+}
+
+function annotatorDivergence(items, threshold, minItems) {
+  const annotators = new Map();
+
+  items.forEach(({item, reference}) => {
+    if (!reference) return;
+    item.annotations.forEach(({annotator, label}) => {
+      if (!annotators.has(annotator.id)) annotators.set(annotator.id, {...annotator, items: 0, matches: 0});
+      const stats = annotators.get(annotator.id);
+      stats.items++;
+      if (label === reference) stats.matches++;
+    });
+  });
+
+  return [...annotators.values()].map(({id, name, items: n, matches}) => {
+    const agreement = round(matches / n);
+    return {id, name, items: n, agreement_with_consensus: agreement, flagged: n >= minItems && agreement < threshold};
+  });
+}
+
+function frequencies(labels) {
+  const counts = {};
+  labels.forEach(label => { counts[label] = (counts[label] || 0) + 1 / labels.length; });
+  return counts;
+}
+
+// Undefined when chance agreement is already perfect (everyone used one label)
+function kappa(observed, expected) {
+  if (expected >= 1 - 1e-9) return null;
+  return round((observed - expected) / (1 - expected));
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import {sentenceSegments, scoreSentence, summarizeResults, probabilityToLevel, unsupportedResult} from '../extension/lib/scoring.js';
+import {compileRuleset, compileRulePacks} from '../extension/lib/rules.js';
+import {hashSentence} from '../extension/lib/result-cache.js';
+import {documentVerdict} from '../extension/lib/verdict.js';
+import {detectLanguage} from '../extension/lib/language.js';
+import {stylometricFeatures} from '../extension/lib/stylometry.js';
+import {createHeuristicDetector} from '../extension/lib/detectors.js';
+
+// Server-side counterpart of the extension's handleAnalyzeText.
+// There is no in-process model here, so sentences are scored by the shared
+// rule pack for each sentence's language alone (modelScore 0).
+
+export const MODEL_VERSION = 'heuristic';
+
+export const MAX_TEXT_LENGTH = 100000;
+export const MAX_DOCUMENTS = 50;
+export const MAX_DETECT_SENTENCES = 500;
+export const MAX_SENTENCE_LENGTH = 5000;
+
+// Reads and compiles a ruleset file; keeps the raw JSON for GET /api/ruleset
+export function loadRuleset(file) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {...compileRuleset(raw), raw};
+}
+
+// Reads every *.json rule pack in dir. Returns {packs, raw}: packs maps
+// language -> compiled ruleset, raw keeps the files for GET /api/rulesets.
+export function loadRulesets(dir) {
+  const raw = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+  return {packs: compileRulePacks(raw), raw};
+}
+
+// Scores each sentence with the rule pack for its language, reusing cached
+// results for sentences already seen under the same pack in a paragraph
+// with the same stylometric features. Levels are always
+// recomputed so a threshold change never needs a cache flush. Results carry
+// start/end offsets into text and the detected language; sentences in a
+// language without a pack are returned as 'unsupported'. Results carry the
+// sentence's stylometric features.
+export async function analyzeDocument(text, {rulesets, thresholds, cache, locale}) {
+  const results = await Promise.all(sentenceSegments(text, {locale}).map(async ({text: sentence, start, end, language, features}) => {
+    const ruleset = rulesets.packs.get(language);
+    if (!ruleset) return {...unsupportedResult(sentence, language), start, end};
+
+    const versions = {rulesetVersion: `${language}@${ruleset.version}`, modelVersion: MODEL_VERSION};
+    // Paragraph features change the score, so they are part of the key
+    const key = await hashSentence(`${sentence}\n${JSON.stringify(features.paragraph)}`);
+    const cached = cache.get(key, versions);
+    if (cached) {
+      return {
+        text: sentence,
+        start,
+        end,
+        language,
+        probability: cached.probability,
+        level: probabilityToLevel(cached.probability, thresholds),
+        rules: cached.rules,
+        features
+      };
+    }
+
+    const result = scoreSentence(sentence, {ruleset, thresholds, features});
+    cache.set(key, {probability: result.probability, rules: result.rules}, versions);
+    return {text: sentence, start, end, language, probability: result.probability, level: result.level, rules: result.rules, features};
+  }));
+
+  return {results, summary: summarizeResults(results, thresholds), verdict: documentVerdict(results, thresholds)};
+}
+
+// Validates {text, locale} or {documents: [{id, text, locale}], locale}.
+// locale is an optional BCP 47 tag for sentence segmentation; a document's
+// own locale overrides the top-level one.
+// Returns {documents} on success or {errors} listing each invalid field.
+export function parseAnalyzeRequest(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return {errors: [{field: 'body', message: 'must be a JSON object'}]};
+  }
+
+  if (body.locale !== undefined && typeof body.locale !== 'string') {
+    return {errors: [{field: 'locale', message: 'must be a string'}]};
+  }
+
+  if (body.documents === undefined) {
+    const message = checkText(body.text);
+    if (message) return {errors: [{field: 'text', message}]};
+    return {documents: [{id: null, text: body.text, locale: body.locale}], batched: false};
+  }
+
+  if (!Array.isArray(body.documents) || body.documents.length === 0) {
+    return {errors: [{field: 'documents', message: 'must be a non-empty array'}]};
+  }
+  if (body.documents.length > MAX_DOCUMENTS) {
+    return {errors: [{field: 'documents', message: `must contain at most ${MAX_DOCUMENTS} documents`}]};
+  }
+
+  const errors = [];
+  const documents = body.documents.map((doc, index) => {
+    const text = doc && doc.text;
+    const message = checkText(text);
+    if (message) errors.push({index, field: 'text', message});
+    if (doc && doc.locale !== undefined && typeof doc.locale !== 'string') {
+      errors.push({index, field: 'locale', message: 'must be a string'});
+    }
+    return {id: doc && doc.id !== undefined ? doc.id : index, text, locale: (doc && doc.locale) || body.locale};
+  });
+
+  return errors.length ? {errors} : {documents, batched: true};
+}
+
+// Validates {sentences: [{text, language}]}, the body the extension's HTTP
+// detector sends (see extension/lib/detectors.js).
+// Returns {sentences} on success or {errors} listing each invalid field.
+export function parseDetectRequest(body) {
+  const sentences = body && body.sentences;
+  if (!Array.isArray(sentences) || sentences.length === 0) {
+    return {errors: [{field: 'sentences', message: 'must be a non-empty array'}]};
+  }
+  if (sentences.length > MAX_DETECT_SENTENCES) {
+    return {errors: [{field: 'sentences', message: `must contain at most ${MAX_DETECT_SENTENCES} sentences`}]};
+  }
+
+  const errors = [];
+  sentences.forEach((sentence, index) => {
+    const text = sentence && sentence.text;
+    if (typeof text !== 'string' || !text) {
+      errors.push({index, field: 'text', message: 'must be a non-empty string'});
+    } else if (text.length > MAX_SENTENCE_LENGTH) {
+      errors.push({index, field: 'text', message: `must be at most ${MAX_SENTENCE_LENGTH} characters`});
+    }
+    if (sentence && sentence.language !== undefined && typeof sentence.language !== 'string') {
+      errors.push({index, field: 'language', message: 'must be a string'});
+    }
+  });
+
+  return errors.length ? {errors} : {sentences};
+}
+
+// The heuristic detector over standalone sentences. Sentences without a
+// language get one detected from their own text; there is no paragraph, so
+// each sentence is its own for the stylometric features.
+export async function detectSentences(sentences, {rulesets}) {
+  const detector = createHeuristicDetector(async () => rulesets.packs);
+  return detector.score(sentences.map(({text, language}) => {
+    const detected = language || detectLanguage(text).language;
+    return {text, language: detected, features: stylometricFeatures(text, [text], detected)};
+  }));
+}
+
+function checkText(text) {
+  if (typeof text !== 'string') return 'must be a string';
+  if (text.length > MAX_TEXT_LENGTH) return `must be at most ${MAX_TEXT_LENGTH} characters`;
+  return null;
+}
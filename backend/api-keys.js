@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Server-side API key registry.
+// Only a SHA-256 of each key is stored; the plain key is shown once, when it
+// is created. Revoked keys stay in the file so their history is kept.
+// The file is re-read whenever it changes, so keys created or revoked with
+// the CLI take effect without restarting the server. A file caught half
+// written is skipped and the last good key set kept until the next change.
+
+export const ROLES = ['client', 'annotator', 'admin'];
+
+export class ApiKeyStore {
+  constructor(file) {
+    this.file = file;
+    this.keys = [];
+    this.mtime = null;
+    this.reload();
+  }
+
+  reload() {
+    if (!fs.existsSync(this.file)) return;
+    const {mtimeMs} = fs.statSync(this.file);
+    if (mtimeMs === this.mtime) return;
+    try {
+      this.keys = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.mtime = mtimeMs;
+    } catch (error) {
+      console.warn(`Could not read ${this.file}, keeping the previous keys:`, error.message);
+    }
+  }
+
+  // Written to a temporary file and renamed, so readers never see it half done
+  save() {
+    fs.mkdirSync(path.dirname(this.file), {recursive: true});
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(this.keys, null, 2));
+    fs.renameSync(temp, this.file);
+    this.mtime = fs.statSync(this.file).mtimeMs;
+  }
+
+  // rateLimit: optional requests per minute overriding the server default
+  create({name, role = 'client', rateLimit = null}) {
+    if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+
+    const id = crypto.randomBytes(4).toString('hex');
+    const key = `aid_${id}_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+      id,
+      name,
+      role,
+      rate_limit: rateLimit,
+      key_hash: hashKey(key),
+      created_at: new Date().toISOString(),
+      revoked_at: null
+    };
+
+    this.keys.push(record);
+    this.save();
+    return {key, record};
+  }
+
+  revoke(id) {
+    const record = this.keys.find(k => k.id === id);
+    if (!record) return null;
+    if (!record.revoked_at) {
+      record.revoked_at = new Date().toISOString();
+      this.save();
+    }
+    return record;
+  }
+
+  list() {
+    return this.keys.map(({key_hash, ...record}) => record);
+  }
+
+  // Returns the active key record for a plain key, or null
+  verify(key) {
+    if (typeof key !== 'string' || !key) return null;
+    this.reload();
+    const hash = hashKey(key);
+    const record = this.keys.find(k =>
+      k.key_hash.length === hash.length &&
+      crypto.timingSafeEqual(Buffer.from(k.key_hash), Buffer.from(hash))
+    );
+    return record && !record.revoked_at ? record : null;
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
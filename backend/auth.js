@@ -0,0 +1,60 @@
+import {RateLimiter} from './rate-limit.js';
+
+// Express middleware for API key authentication and per-client rate limits.
+// Keys are sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+
+export function extractKey(req) {
+  const header = req.get('authorization');
+  if (header && header.startsWith('Bearer ')) return header.slice(7).trim();
+  return req.get('x-api-key') || null;
+}
+
+// Attaches req.apiKey when a valid key is present; never rejects on its own
+export function authenticate(keys) {
+  return (req, res, next) => {
+    req.apiKey = keys.verify(extractKey(req));
+    next();
+  };
+}
+
+// Rejects requests without a valid key, or with a key lacking the role.
+// `role` may be a list of roles that are each allowed.
+export function requireKey(role) {
+  const roles = role ? [].concat(role) : [];
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return res.status(401).json({error: 'A valid API key is required'});
+    }
+    if (roles.length && !roles.includes(req.apiKey.role)) {
+      return res.status(403).json({error: `This route requires the ${roles.join(' or ')} role`});
+    }
+    next();
+  };
+}
+
+// Authenticated requests count against their key's limit (a key may
+// override the default); anonymous ones against their IP's. A valid key is
+// never held to the IP limit, so clients sharing an address keep their own
+// budgets.
+export function rateLimit({perKey, perIp, windowMs}) {
+  const limiter = new RateLimiter({windowMs});
+  setInterval(() => limiter.sweep(), windowMs).unref();
+
+  return (req, res, next) => {
+    const [id, limit] = req.apiKey
+      ? [`key:${req.apiKey.id}`, req.apiKey.rate_limit || perKey]
+      : [`ip:${req.ip}`, perIp];
+
+    const result = limiter.take(id, limit);
+    res.set('X-RateLimit-Limit', String(limit));
+    res.set('X-RateLimit-Remaining', String(result.remaining));
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        retry_after: result.retryAfter
+      });
+    }
+    next();
+  };
+}
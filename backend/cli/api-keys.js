@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {ApiKeyStore} from '../api-keys.js';
+
+// Manage backend API keys.
+//
+//   npm run keys -- create <name> [--role client|annotator|admin] [--rate-limit <per minute>]
+//   npm run keys -- list
+//   npm run keys -- revoke <id>
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+const keys = new ApiKeyStore(path.join(dataDir, 'api-keys.json'));
+
+const [command, ...args] = process.argv.slice(2);
+
+function option(name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+switch (command) {
+  case 'create': {
+    const name = args[0];
+    if (!name || name.startsWith('--')) usage();
+    const rateLimit = option('rate-limit') ? Number(option('rate-limit')) : null;
+    const {key, record} = keys.create({name, role: option('role') || 'client', rateLimit});
+    console.log(`Created ${record.role} key ${record.id} for "${name}"`);
+    console.log(`\n  ${key}\n`);
+    console.log('Store it now; it cannot be shown again.');
+    break;
+  }
+  case 'list':
+    console.table(keys.list());
+    break;
+  case 'revoke': {
+    const record = args[0] && keys.revoke(args[0]);
+    if (!record) {
+      console.error(`No key with id ${args[0]}`);
+      process.exit(1);
+    }
+    console.log(`Revoked key ${record.id} ("${record.name}")`);
+    break;
+  }
+  default:
+    usage();
+}
+
+function usage() {
+  console.error('Usage: api-keys.js create <name> [--role client|annotator|admin] [--rate-limit N] | list | revoke <id>');
+  process.exit(1);
+}
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {DEFAULT_THRESHOLDS} from '../../extension/lib/scoring.js';
+import {DEFAULT_WEIGHTS} from '../../extension/lib/detectors.js';
+import {loadRuleset} from '../analyze.js';
+import {DEFAULT_BINS, evaluate, loadCorpus, loadFixtureModel, scoreCorpus} from '../evaluate.js';
+
+// Measure the detector on a labeled corpus (see evaluate.js for formats).
+//
+//   npm run evaluate -- <corpus.jsonl|csv> [--ruleset FILE] [--model FIXTURE]
+//                       [--compare-ruleset FILE] [--compare-model FIXTURE]
+//                       [--thresholds 0.4,0.7] [--bins 10]
+//                       [--weights heuristic=1,model=0.25] [--json]
+//
+// With either --compare option the corpus is scored a second time and both
+// configurations are printed side by side; the comparison reuses the
+// baseline ruleset or model for whichever option is not given. --weights
+// sets the ensemble weights for both runs.
+// Try it with fixtures/eval/corpus.jsonl and fixtures/eval/model.json.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const defaultRuleset = path.join(__dirname, '../../extension/rules/en.json');
+
+const args = process.argv.slice(2);
+
+function option(name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+const corpusFile = args[0];
+if (!corpusFile || corpusFile.startsWith('--')) {
+  fail('Usage: evaluate.js <corpus.jsonl|csv> [--ruleset FILE] [--model FIXTURE] ' +
+    '[--compare-ruleset FILE] [--compare-model FIXTURE] [--thresholds 0.4,0.7] [--bins 10] ' +
+    '[--weights heuristic=1,model=0.25] [--json]');
+}
+
+const thresholds = option('thresholds', `${DEFAULT_THRESHOLDS.medium},${DEFAULT_THRESHOLDS.high}`)
+  .split(',').map(Number);
+const bins = Number(option('bins', DEFAULT_BINS));
+if (thresholds.some(t => !(t >= 0 && t <= 1))) fail('--thresholds must be numbers between 0 and 1');
+if (!Number.isInteger(bins) || bins < 1) fail('--bins must be a positive integer');
+
+const weights = {...DEFAULT_WEIGHTS};
+const weightsOption = option('weights');
+if (weightsOption) {
+  weightsOption.split(',').forEach(pair => {
+    const [id, value] = pair.split('=');
+    if (!(id in DEFAULT_WEIGHTS) || !(Number(value) >= 0)) {
+      fail(`--weights takes id=weight pairs for ${Object.keys(DEFAULT_WEIGHTS).join(', ')}`);
+    }
+    weights[id] = Number(value);
+  });
+}
+
+const baseline = {ruleset: option('ruleset', defaultRuleset), model: option('model')};
+const comparing = args.includes('--compare-ruleset') || args.includes('--compare-model');
+const candidate = comparing && {
+  ruleset: option('compare-ruleset', baseline.ruleset),
+  model: option('compare-model', baseline.model)
+};
+
+let corpus;
+let runs;
+try {
+  corpus = loadCorpus(corpusFile);
+  runs = [baseline, candidate].filter(Boolean).map(run);
+} catch (error) {
+  fail(error.message);
+}
+
+if (args.includes('--json')) {
+  console.log(JSON.stringify({corpus: corpusFile, skipped: corpus.skipped, runs}, null, 2));
+} else {
+  report(runs);
+}
+
+function run(config) {
+  const ruleset = loadRuleset(config.ruleset);
+  const model = config.model ? loadFixtureModel(config.model) : null;
+  if (!weights.heuristic && !(model && weights.model)) {
+    throw new Error('--weights leaves no detector to score with');
+  }
+  const {scored, modelMisses} = scoreCorpus(corpus.examples, {ruleset, model, weights});
+
+  return {
+    name: `${path.basename(config.ruleset)} (${ruleset.version})${model ? ` + ${model.id}` : ''}`,
+    ruleset: config.ruleset,
+    ruleset_version: ruleset.version,
+    model: model ? model.id : null,
+    model_misses: modelMisses,
+    weights: model ? {heuristic: weights.heuristic, model: weights.model} : {heuristic: weights.heuristic},
+    ...evaluate(scored, {thresholds, bins})
+  };
+}
+
+// ========================================
+// Text report
+// ========================================
+
+function report(runs) {
+  const [first] = runs;
+  console.log(`Corpus ${corpusFile}: ${first.examples} examples ` +
+    `(${first.positives} ai, ${first.negatives} human), ${corpus.skipped} skipped\n`);
+
+  table(['', ...runs.map(r => r.name)], [
+    ['ROC-AUC', ...runs.map(r => fmt(r.roc_auc))],
+    ['Brier', ...runs.map(r => fmt(r.brier))],
+    ['ECE', ...runs.map(r => fmt(r.calibration.ece))],
+    ...(runs.some(r => r.model) ? [['Model misses', ...runs.map(r => String(r.model_misses))]] : [])
+  ]);
+
+  thresholds.forEach((threshold, i) => {
+    console.log(`\nThreshold > ${threshold}`);
+    table(['', ...runs.map(r => r.name)], [
+      ['Precision', ...runs.map(r => fmt(r.thresholds[i].precision))],
+      ['Recall', ...runs.map(r => fmt(r.thresholds[i].recall))],
+      ['F1', ...runs.map(r => fmt(r.thresholds[i].f1))],
+      ['Accuracy', ...runs.map(r => fmt(r.thresholds[i].accuracy))],
+      ['FPR', ...runs.map(r => fmt(r.thresholds[i].fpr))],
+      ['TP / FP', ...runs.map(r => `${r.thresholds[i].confusion.tp} / ${r.thresholds[i].confusion.fp}`)],
+      ['FN / TN', ...runs.map(r => `${r.thresholds[i].confusion.fn} / ${r.thresholds[i].confusion.tn}`)]
+    ]);
+  });
+
+  runs.forEach(r => {
+    console.log(`\nCalibration: ${r.name}`);
+    table(['Bin', 'Count', 'Mean p', 'AI rate'], r.calibration.bins
+      .filter(bin => bin.count)
+      .map(bin => [`${bin.lower.toFixed(2)}-${bin.upper.toFixed(2)}`, String(bin.count),
+        fmt(bin.mean_probability), fmt(bin.ai_rate)]));
+  });
+}
+
+function table(header, rows) {
+  const widths = header.map((_, i) => Math.max(...[header, ...rows].map(row => row[i].length)));
+  [header, ...rows].forEach(row => {
+    console.log(row.map((cell, i) => i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('  '));
+  });
+}
+
+function fmt(value) {
+  return value === null ? '-' : value.toFixed(3);
+}
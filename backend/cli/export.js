@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {FeedbackStore} from '../store.js';
+import {LabelQueue} from '../queue.js';
+import {agreementReport, labelQuality, qualitySummary} from '../agreement.js';
+import {FORMATS, buildDataset, countSplits, parseRatios, toCSV, toJSONL} from '../export.js';
+
+// Export labeled feedback as train/validation/test files for fine-tuning.
+//
+//   npm run export -- [--format jsonl|csv] [--out datasets] [--since DATE]
+//                     [--until DATE] [--ratios 0.8,0.1,0.1] [--seed S] [--dedupe]
+//
+// Writes <out>/train.<format>, validation.<format>, test.<format> and a
+// manifest.json describing how the export was produced, including the
+// inter-annotator agreement of the labeling queue.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+const args = process.argv.slice(2);
+
+function option(name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+function date(name) {
+  const value = option(name);
+  if (value === undefined) return undefined;
+  const parsed = new Date(value);
+  if (isNaN(parsed)) fail(`--${name} must be a valid date`);
+  return parsed.toISOString();
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+const format = option('format', 'jsonl');
+const out = option('out', 'datasets');
+const ratios = parseRatios(option('ratios'));
+const seed = option('seed', '');
+const dedupe = args.includes('--dedupe');
+const since = date('since');
+const until = date('until');
+
+if (!FORMATS.includes(format)) fail(`--format must be one of ${FORMATS.join(', ')}`);
+if (!ratios) fail('--ratios must be three non-negative numbers, e.g. 0.8,0.1,0.1');
+
+const store = new FeedbackStore(path.join(dataDir, 'feedback.jsonl'));
+const queue = new LabelQueue(path.join(dataDir, 'label-queue.jsonl'));
+const rows = buildDataset(store.find({since, until}), {ratios, seed, dedupe, quality: labelQuality(queue.all())});
+const serialize = format === 'csv' ? toCSV : toJSONL;
+
+fs.mkdirSync(out, {recursive: true});
+['train', 'validation', 'test'].forEach(split => {
+  const file = path.join(out, `${split}.${format}`);
+  fs.writeFileSync(file, serialize(rows.filter(row => row.split === split)));
+});
+
+const manifest = {
+  created_at: new Date().toISOString(),
+  format,
+  since: since || null,
+  until: until || null,
+  ratios,
+  seed,
+  dedupe,
+  rows: rows.length,
+  splits: countSplits(rows),
+  label_quality: qualitySummary(agreementReport(queue.all()))
+};
+fs.writeFileSync(path.join(out, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+console.log(`✓ Exported ${rows.length} rows to ${out}/`, manifest.splits);
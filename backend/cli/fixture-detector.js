@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+import express from 'express';
+import bodyParser from 'body-parser';
+import {modelScoreFor} from '../../extension/lib/models.js';
+import {loadFixtureModel} from '../evaluate.js';
+import {parseDetectRequest} from '../analyze.js';
+
+// Local stand-in for a remote detector: serves a fixture model's recorded
+// predictions (see evaluate.js) over the HTTP detector protocol, so the
+// extension's ensemble can be tried without a real model server.
+//
+//   npm run fixture-detector -- <model.json> [--port 3100]
+//
+// Point the extension's HTTP detector URL at http://localhost:<port>/detect.
+// Sentences the fixture has no prediction for score null.
+
+const args = process.argv.slice(2);
+
+function option(name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+const modelFile = args[0];
+if (!modelFile || modelFile.startsWith('--')) {
+  console.error('Usage: fixture-detector.js <model.json> [--port 3100]');
+  process.exit(1);
+}
+
+let model;
+try {
+  model = loadFixtureModel(modelFile);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const app = express();
+app.use(bodyParser.json());
+
+app.post('/detect', (req, res) => {
+  const {sentences, errors} = parseDetectRequest(req.body);
+  if (errors) {
+    return res.status(400).json({error: 'Invalid detect request', errors});
+  }
+
+  res.json({
+    detector: model.id,
+    scores: sentences.map(({text}) => {
+      const prediction = model.predict(text);
+      const probability = prediction ? modelScoreFor(prediction, model.profile) : null;
+      return probability === null ? null : {probability, label: prediction.label};
+    })
+  });
+});
+
+const port = Number(option('port', 3100));
+app.listen(port, () => {
+  console.log(`Fixture detector ${model.id} listening on port ${port}`);
+});
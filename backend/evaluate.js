@@ -0,0 +1,265 @@
+import fs from 'fs';
+import {scoreSentence} from '../extension/lib/scoring.js';
+import {modelScoreFor, profileDetects, resolveProfile, validateProfile} from '../extension/lib/models.js';
+import {DEFAULT_WEIGHTS, combineScores} from '../extension/lib/detectors.js';
+import {segmentSentences} from '../extension/lib/segmenter.js';
+import {stylometricFeatures} from '../extension/lib/stylometry.js';
+import {hashText} from './schema.js';
+
+// Offline evaluation of the scoring pipeline against a labeled corpus.
+//
+// A corpus is JSONL ({"text", "label"} per line) or CSV with text and label
+// columns, such as the files written by `npm run export`. Labels are 'ai' or
+// 'human'; 'mixed' and anything else is skipped. 'ai' is the positive class
+// and a sentence counts as flagged when probability > threshold, matching
+// probabilityToLevel.
+//
+// Without a model the pipeline is rules only, as on the backend. With one,
+// rules and model are combined like the extension's detector ensemble,
+// weighted by DEFAULT_WEIGHTS unless other weights are given. A fixture
+// model replays recorded predictions instead of running Transformers.js, so
+// evaluations work offline and are repeatable. Its profile (see
+// extension/lib/models.js) is a built-in profile name or an inline profile,
+// and says how the recorded labels are read:
+//
+//   {"id": "...", "profile": {"id": "...", "labels": {"ai": "ChatGPT", "human": "Human"}, ...},
+//    "predictions": [{"text": "...", "label": "ChatGPT", "score": 0.93}, ...]}
+//
+// Predictions may give `text_hash` (as in feedback records) instead of text.
+// Older fixtures map labels to meanings ({"ChatGPT": "ai", ...}) instead.
+
+export const DEFAULT_BINS = 10;
+
+export function loadCorpus(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const rows = file.endsWith('.csv') ? parseCSV(content) : parseJSONL(content, file);
+
+  const examples = [];
+  let skipped = 0;
+  rows.forEach(row => {
+    const label = String(row.label ?? '').trim().toLowerCase();
+    if (typeof row.text !== 'string' || !row.text.trim() || !['ai', 'human'].includes(label)) {
+      skipped++;
+      return;
+    }
+    examples.push({text: row.text, label});
+  });
+  return {examples, skipped};
+}
+
+export function loadFixtureModel(file) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!(raw.profile || raw.labels) || !Array.isArray(raw.predictions)) {
+    throw new Error(`${file}: fixture models need a profile and a predictions array`);
+  }
+
+  const profile = raw.profile
+    ? resolveProfile({profile: raw.profile})
+    : resolveProfile({id: raw.id || file, model: file, labels: raw.labels});
+  const errors = raw.profile && typeof raw.profile === 'object' ? validateProfile(raw.profile) : [];
+  if (errors.length) {
+    throw new Error(`${file}: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+  }
+  if (!profileDetects(profile)) {
+    throw new Error(`${file}: profile ${profile ? profile.id : raw.profile} has no AI and human labels`);
+  }
+
+  const predictions = new Map();
+  raw.predictions.forEach(p => {
+    predictions.set(p.text_hash || hashText(p.text), {label: p.label, score: p.score});
+  });
+
+  return {
+    id: raw.id || file,
+    profile,
+    predict: text => predictions.get(hashText(text)) || null
+  };
+}
+
+// Returns {scored: [{label, probability}], modelMisses}. Sentences the
+// fixture has no prediction for are scored by the rules alone. Each example
+// is its own paragraph for the stylometric features.
+export function scoreCorpus(examples, {ruleset, model = null, weights = DEFAULT_WEIGHTS}) {
+  let modelMisses = 0;
+  const scored = examples.map(({text, label}) => {
+    const sentences = segmentSentences(text).map(segment => segment.text);
+    const features = stylometricFeatures(text, sentences.length ? sentences : [text], ruleset.language);
+    const candidates = [{id: 'heuristic', entry: scoreSentence(text, {ruleset, features})}];
+
+    if (model) {
+      const prediction = model.predict(text);
+      const probability = prediction ? modelScoreFor(prediction, model.profile) : null;
+      if (probability !== null) candidates.push({id: 'model', entry: {probability}});
+      else modelMisses++;
+    }
+
+    const combined = combineScores(candidates, weights);
+    return {label, probability: combined ? combined.probability : null};
+  });
+  return {scored: scored.filter(s => s.probability !== null), modelMisses};
+}
+
+// scored: [{label, probability}]; thresholds: list of cut-offs to report
+export function evaluate(scored, {thresholds, bins = DEFAULT_BINS}) {
+  const positives = scored.filter(s => s.label === 'ai').length;
+
+  return {
+    examples: scored.length,
+    positives,
+    negatives: scored.length - positives,
+    roc_auc: rocAuc(scored),
+    brier: scored.length ? round(mean(scored.map(s => (s.probability - (s.label === 'ai' ? 1 : 0)) ** 2))) : null,
+    thresholds: thresholds.map(threshold => atThreshold(scored, threshold)),
+    calibration: calibrationBins(scored, bins)
+  };
+}
+
+function atThreshold(scored, threshold) {
+  const confusion = {tp: 0, fp: 0, tn: 0, fn: 0};
+  scored.forEach(({label, probability}) => {
+    const flagged = probability > threshold;
+    if (label === 'ai') confusion[flagged ? 'tp' : 'fn']++;
+    else confusion[flagged ? 'fp' : 'tn']++;
+  });
+
+  const {tp, fp, tn, fn} = confusion;
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  return {
+    threshold,
+    confusion,
+    precision,
+    recall,
+    f1: precision !== null && recall !== null && precision + recall > 0
+      ? round(2 * precision * recall / (precision + recall))
+      : null,
+    accuracy: ratio(tp + tn, scored.length),
+    fpr: ratio(fp, fp + tn)
+  };
+}
+
+// Probability that a random AI sentence outscores a random human one
+// (Mann-Whitney U, ties count half)
+function rocAuc(scored) {
+  const sorted = [...scored].sort((a, b) => a.probability - b.probability);
+  let positives = 0;
+  let negatives = 0;
+  let rankSum = 0;
+
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j < sorted.length && sorted[j].probability === sorted[i].probability) j++;
+    const averageRank = (i + j + 1) / 2;
+    for (let k = i; k < j; k++) {
+      if (sorted[k].label === 'ai') {
+        positives++;
+        rankSum += averageRank;
+      } else {
+        negatives++;
+      }
+    }
+    i = j;
+  }
+
+  if (!positives || !negatives) return null;
+  return round((rankSum - positives * (positives + 1) / 2) / (positives * negatives));
+}
+
+// Reliability diagram: equal-width probability bins with the observed share
+// of AI sentences in each. `ece` is the count-weighted calibration gap.
+function calibrationBins(scored, count) {
+  const bins = Array.from({length: count}, (_, i) => ({
+    lower: round(i / count),
+    upper: round((i + 1) / count),
+    count: 0,
+    sum: 0,
+    ai: 0
+  }));
+
+  scored.forEach(({label, probability}) => {
+    const bin = bins[Math.min(Math.floor(probability * count), count - 1)];
+    bin.count++;
+    bin.sum += probability;
+    if (label === 'ai') bin.ai++;
+  });
+
+  let gap = 0;
+  const rows = bins.map(({lower, upper, count: n, sum, ai}) => {
+    const meanProbability = n ? sum / n : null;
+    const aiRate = n ? ai / n : null;
+    if (n) gap += n * Math.abs(meanProbability - aiRate);
+    return {
+      lower,
+      upper,
+      count: n,
+      mean_probability: meanProbability === null ? null : round(meanProbability),
+      ai_rate: aiRate === null ? null : round(aiRate)
+    };
+  });
+
+  return {bins: rows, ece: scored.length ? round(gap / scored.length) : null};
+}
+
+function parseJSONL(content, file) {
+  return content.split('\n').filter(line => line.trim()).map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${file}: invalid JSON on line ${index + 1}`);
+    }
+  });
+}
+
+// RFC 4180: quoted fields may contain commas, newlines and doubled quotes
+function parseCSV(content) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(r => r.length > 1 || r[0]);
+  return rows.map(row => Object.fromEntries(header.map((name, i) => [name.trim(), row[i]])));
+}
+
+function ratio(a, b) {
+  return b ? round(a / b) : null;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import {feedbackLabel} from './labels.js';
+import {scrubRecord} from './schema.js';
+
+// Builds labeled training datasets from stored feedback.
+// Rows are {text, label, probability, model_version, model_profile, domain,
+// language, annotations, annotator_agreement, split}, where label is 'ai' or
+// 'human', or 'mixed' when a reviewer said so. The annotation columns come
+// from the labeling queue and are null for sentences no annotator has seen.
+// Splits are assigned by hashing the text, so a sentence always lands in the
+// same split across exports and duplicates never leak between train and test.
+// Records are scrubbed once more on the way out, which covers those stored
+// before server-side redaction existed.
+
+export const FORMATS = ['jsonl', 'csv'];
+export const SPLITS = ['train', 'validation', 'test'];
+export const DEFAULT_RATIOS = {train: 0.8, validation: 0.1, test: 0.1};
+
+const COLUMNS = ['text', 'label', 'probability', 'model_version', 'model_profile', 'domain', 'language', 'annotations', 'annotator_agreement', 'split'];
+
+// options: {ratios, seed, dedupe, quality} where quality is labelQuality()
+// from agreement.js
+export function buildDataset(records, {ratios = DEFAULT_RATIOS, seed = '', dedupe = false, quality = new Map()} = {}) {
+  const labeled = records
+    .filter(record => record.text)
+    .map(record => ({record: scrubRecord(record), label: feedbackLabel(record)}))
+    .filter(({label}) => label);
+
+  const rows = dedupe ? dedupeByText(labeled) : labeled.map(toRow);
+  rows.forEach(row => {
+    const annotated = quality.get(row.text_hash);
+    row.annotations = annotated ? annotated.annotations : null;
+    row.annotator_agreement = annotated ? annotated.agreement : null;
+    row.split = assignSplit(row.text, ratios, seed);
+  });
+  return rows;
+}
+
+// Parses "0.8,0.1,0.1"; returns null when the ratios are unusable
+export function parseRatios(value) {
+  if (!value) return DEFAULT_RATIOS;
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 3 || parts.some(n => !Number.isFinite(n) || n < 0)) return null;
+  const total = parts.reduce((a, b) => a + b, 0);
+  if (total <= 0) return null;
+  return {train: parts[0] / total, validation: parts[1] / total, test: parts[2] / total};
+}
+
+export function toJSONL(rows) {
+  return rows.map(row => JSON.stringify(pick(row)) + '\n').join('');
+}
+
+export function toCSV(rows) {
+  const lines = [COLUMNS.join(',')];
+  rows.forEach(row => {
+    lines.push(COLUMNS.map(column => csvCell(row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+export function countSplits(rows) {
+  const counts = {train: 0, validation: 0, test: 0};
+  rows.forEach(row => { counts[row.split]++; });
+  return counts;
+}
+
+function toRow({record, label}) {
+  return {
+    text: record.text,
+    text_hash: record.text_hash,
+    label,
+    probability: record.probability,
+    model_version: record.model_version,
+    model_profile: record.model_profile,
+    domain: record.domain,
+    language: record.language
+  };
+}
+
+// One row per distinct sentence, labeled by majority vote. Sentences whose
+// votes tie are dropped as too ambiguous to train on. The most recent record
+// supplies the probability, model version and profile, domain and language.
+function dedupeByText(labeled) {
+  const groups = new Map();
+  labeled.forEach(item => {
+    const key = item.record.text_hash;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+
+  const rows = [];
+  groups.forEach(items => {
+    const votes = {};
+    items.forEach(({label}) => { votes[label] = (votes[label] || 0) + 1; });
+    const ranked = Object.entries(votes).sort((a, b) => b[1] - a[1]);
+    if (ranked.length > 1 && ranked[0][1] === ranked[1][1]) return;
+    rows.push(toRow({record: items[items.length - 1].record, label: ranked[0][0]}));
+  });
+  return rows;
+}
+
+function assignSplit(text, ratios, seed) {
+  const digest = crypto.createHash('sha256').update(seed + '\0' + text).digest();
+  const bucket = digest.readUInt32BE(0) / 0x100000000;
+  if (bucket < ratios.train) return 'train';
+  if (bucket < ratios.train + ratios.validation) return 'validation';
+  return 'test';
+}
+
+function pick(row) {
+  return Object.fromEntries(COLUMNS.map(column => [column, row[column] ?? null]));
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,116 @@
+import express from 'express';
+import {requireKey} from './auth.js';
+import {REVIEW_LABELS} from './labels.js';
+import {STATUSES} from './queue.js';
+import {DEFAULT_DIVERGENCE_THRESHOLD, DEFAULT_MIN_ITEMS, agreementReport} from './agreement.js';
+
+// Routes for the active-learning queue (see queue.js). Mounted under
+// /api/queue for annotator and admin keys; listing and resolving disputes
+// are admin only. Annotators never see each other's labels.
+
+export function createLabelingRouter({queue, feedback}) {
+  const router = express.Router();
+
+  router.get('/next', (req, res) => {
+    const item = queue.next(req.apiKey.id);
+    res.json({item: item && annotatorView(item), counts: queue.counts()});
+  });
+
+  // Body: {label: 'ai' | 'human' | 'mixed'}
+  router.post('/:id/labels', (req, res) => {
+    const item = queue.get(Number(req.params.id));
+    const label = req.body && req.body.label;
+
+    if (!item) return res.status(404).json({error: `Unknown queue item ${req.params.id}`});
+    if (item.status !== 'open') {
+      return res.status(409).json({error: `Queue item ${item.id} is ${item.status}`});
+    }
+    if (!REVIEW_LABELS.includes(label)) {
+      return res.status(400).json({
+        error: 'Invalid label',
+        errors: [{field: 'label', message: `must be one of ${REVIEW_LABELS.join(', ')}`}]
+      });
+    }
+
+    const updated = queue.annotate(item.id, annotator(req), label);
+    if (updated.status === 'resolved') applyToFeedback(feedback, updated);
+    res.json({item: annotatorView(updated)});
+  });
+
+  router.get('/stats', (req, res) => {
+    res.json({required_annotations: queue.required, counts: queue.counts()});
+  });
+
+  // Query: status (open|disputed|resolved), limit, offset
+  router.get('/', requireKey('admin'), (req, res) => {
+    const {status} = req.query;
+    const limit = Number(req.query.limit ?? 100);
+    const offset = Number(req.query.offset ?? 0);
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({error: `status must be one of ${STATUSES.join(', ')}`});
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000 || !Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({error: 'limit must be 1-1000 and offset a non-negative integer'});
+    }
+
+    const {total, items} = queue.list({status, limit, offset});
+    res.json({count: total, limit, offset, items});
+  });
+
+  // Inter-annotator agreement (see agreement.js).
+  // Query: threshold (0-1), min_items, items=true to list per-item consensus
+  router.get('/report', requireKey('admin'), (req, res) => {
+    const threshold = Number(req.query.threshold ?? DEFAULT_DIVERGENCE_THRESHOLD);
+    const minItems = Number(req.query.min_items ?? DEFAULT_MIN_ITEMS);
+
+    if (!(threshold >= 0 && threshold <= 1) || !Number.isInteger(minItems) || minItems < 1) {
+      return res.status(400).json({error: 'threshold must be between 0 and 1 and min_items a positive integer'});
+    }
+
+    res.json(agreementReport(queue.all(), {threshold, minItems, includeItems: req.query.items === 'true'}));
+  });
+
+  // Body: {label}. Settles a disputed item, or overrides any other.
+  router.post('/:id/resolve', requireKey('admin'), (req, res) => {
+    const item = queue.get(Number(req.params.id));
+    const label = req.body && req.body.label;
+
+    if (!item) return res.status(404).json({error: `Unknown queue item ${req.params.id}`});
+    if (!REVIEW_LABELS.includes(label)) {
+      return res.status(400).json({
+        error: 'Invalid label',
+        errors: [{field: 'label', message: `must be one of ${REVIEW_LABELS.join(', ')}`}]
+      });
+    }
+
+    const updated = queue.resolve(item.id, label, annotator(req));
+    applyToFeedback(feedback, updated);
+    res.json(updated);
+  });
+
+  return router;
+}
+
+function annotator(req) {
+  return {id: req.apiKey.id, name: req.apiKey.name};
+}
+
+function annotatorView(item) {
+  const {id, text, probability, level, status, priority} = item;
+  return {id, text, probability, level, status, priority};
+}
+
+// Carries the queue's final label over to feedback for the same sentence so
+// exports and calibration pick it up. Labels set by hand on the review
+// dashboard are left alone.
+function applyToFeedback(feedback, item) {
+  feedback.find({text_hash: item.text_hash, excluded: undefined}).forEach(record => {
+    if (record.review_label && record.reviewed_by && !record.reviewed_by.queue_item) return;
+    feedback.update(record.id, {
+      review_label: item.label,
+      reviewed_by: {...item.resolved_by, queue_item: item.id},
+      reviewed_at: item.resolved_at
+    });
+  });
+}
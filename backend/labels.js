@@ -0,0 +1,15 @@
+export const REVIEW_LABELS = ['ai', 'human', 'mixed'];
+
+// Derives a ground-truth label from a user's verdict on a detection.
+// Agreeing with a high/medium flag, or disagreeing with a low one, means the
+// sentence was AI-generated; the reverse means it was human-written.
+// A reviewer's label from the dashboard always takes precedence.
+// Records without a level (legacy v1 submissions) cannot be labeled.
+export function feedbackLabel(record) {
+  if (record.review_label) return record.review_label;
+  if (!record.level || !['agree', 'disagree'].includes(record.feedback)) return null;
+
+  const flagged = record.level !== 'low';
+  const agreed = record.feedback === 'agree';
+  return flagged === agreed ? 'ai' : 'human';
+}
@@ -0,0 +1,100 @@
+import {hostnameOf} from './schema.js';
+
+// Schema migrations for stored feedback records.
+// Every record is written with the schema_version it was created under.
+// When the record shape changes, bump SCHEMA_VERSION and append a migration
+// that upgrades a record from the previous version. Older records are
+// upgraded as they are loaded, so the log never has to be rewritten by hand.
+
+export const SCHEMA_VERSION = 7;
+
+export const migrations = [
+  {
+    // v0: the shape kept by the original in-memory server
+    version: 1,
+    up(record) {
+      return {
+        text_hash: record.text_hash || '',
+        length: record.length || 0,
+        model_version: record.model_version || 'v0',
+        score: record.score || 0,
+        feedback: record.feedback || '',
+        timestamp: record.timestamp || new Date(0).toISOString()
+      };
+    }
+  },
+  {
+    // v2: sentence text, level and domain from the extension's batched payload
+    version: 2,
+    up(record) {
+      const {score, ...rest} = record;
+      return {
+        ...rest,
+        text: null,
+        probability: score ?? null,
+        level: null,
+        domain: null,
+        client_timestamp: null
+      };
+    }
+  },
+  {
+    // v3: hash-only submissions and server-side PII redaction
+    version: 3,
+    up(record) {
+      return {
+        ...record,
+        features: null,
+        text_mode: record.text ? 'text' : 'hash',
+        redactions: null
+      };
+    }
+  },
+  {
+    // v4: reviewer relabeling and exclusion from the review dashboard
+    version: 4,
+    up(record) {
+      return {
+        ...record,
+        review_label: null,
+        reviewed_by: null,
+        reviewed_at: null,
+        excluded: false
+      };
+    }
+  },
+  {
+    // v5: detected language of the sentence; unknown for older records
+    version: 5,
+    up(record) {
+      return {...record, language: null};
+    }
+  },
+  {
+    // v6: model profile that scored the sentence; unknown for older records
+    version: 6,
+    up(record) {
+      return {...record, model_profile: null};
+    }
+  },
+  {
+    // v7: domain is the hostname only; older records could hold a full URL
+    version: 7,
+    up(record) {
+      return {...record, domain: record.domain ? hostnameOf(record.domain) : null};
+    }
+  }
+];
+
+export function migrate(record) {
+  let current = record;
+  let version = record.schema_version || 0;
+
+  for (const migration of migrations) {
+    if (migration.version <= version) continue;
+    current = migration.up(current);
+    version = migration.version;
+  }
+
+  return {id: record.id, ...current, schema_version: version};
+}
@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+import {DEFAULT_MODEL, MODEL_PROFILES, validateProfile} from '../extension/lib/models.js';
+
+// Registry of detector model versions (see extension/lib/models.js for the
+// entry shape). Exactly one version is active at a time; the extension polls
+// the active one and switches to it without a reinstall. New versions name
+// the model profile they run; entries saved before profiles existed keep
+// their `model` and `labels`.
+
+export class ModelRegistry {
+  constructor(file) {
+    this.file = file;
+    this.models = fs.existsSync(file)
+      ? JSON.parse(fs.readFileSync(file, 'utf8'))
+      : [{...DEFAULT_MODEL}];
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), {recursive: true});
+    fs.writeFileSync(this.file, JSON.stringify(this.models, null, 2));
+  }
+
+  list() {
+    return this.models;
+  }
+
+  get(id) {
+    return this.models.find(m => m.id === id) || null;
+  }
+
+  active() {
+    return this.models.find(m => m.active) || null;
+  }
+
+  add(entry) {
+    const model = {...entry, released_at: entry.released_at || new Date().toISOString(), active: false};
+    this.models.push(model);
+    this.save();
+    return model;
+  }
+
+  activate(id) {
+    const model = this.get(id);
+    if (!model) return null;
+    this.models.forEach(m => { m.active = m.id === id; });
+    this.save();
+    return model;
+  }
+}
+
+// Returns a list of {field, message}; empty when the entry is valid
+export function validateModelEntry(entry, registry) {
+  const errors = [];
+  if (!entry || typeof entry !== 'object') return [{field: 'body', message: 'must be a JSON object'}];
+
+  if (typeof entry.id !== 'string' || !/^[\w.-]{1,64}$/.test(entry.id)) {
+    errors.push({field: 'id', message: 'must be 1-64 letters, digits, dots, dashes or underscores'});
+  } else if (registry.get(entry.id)) {
+    errors.push({field: 'id', message: 'already exists'});
+  }
+  if (typeof entry.profile === 'string') {
+    if (!MODEL_PROFILES[entry.profile]) {
+      errors.push({field: 'profile', message: `must be one of ${Object.keys(MODEL_PROFILES).join(', ')} or a profile object`});
+    }
+  } else if (entry.profile && typeof entry.profile === 'object' && !Array.isArray(entry.profile)) {
+    errors.push(...validateProfile(entry.profile));
+  } else {
+    errors.push({field: 'profile', message: 'must name a model profile or be a profile object'});
+  }
+  if (entry.thresholds !== undefined && entry.thresholds !== null) {
+    const {high, medium} = entry.thresholds;
+    if (!(typeof high === 'number' && typeof medium === 'number' && medium >= 0 && medium <= high && high <= 1)) {
+      errors.push({field: 'thresholds', message: 'must be {high, medium} with 0 <= medium <= high <= 1'});
+    }
+  }
+  if (entry.released_at !== undefined && isNaN(new Date(entry.released_at))) {
+    errors.push({field: 'released_at', message: 'must be a valid date'});
+  }
+  return errors;
+}
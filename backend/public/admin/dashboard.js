@@ -0,0 +1,348 @@
+// ========================================
+// dashboard.js - Feedback review dashboard
+// ========================================
+// Talks to the backend with an admin API key kept in sessionStorage. Lists
+// feedback with the same filters as GET /api/feedback, lets a reviewer set a
+// ground-truth label (ai, human or mixed) per row or in bulk, and plots the
+// agree rate from GET /api/stats.
+
+const KEY_STORAGE = 'aiDetectorAdminKey';
+const LABELS = ['ai', 'human', 'mixed'];
+
+const state = {
+  key: sessionStorage.getItem(KEY_STORAGE),
+  sort: 'id',
+  order: 'desc',
+  offset: 0,
+  total: 0,
+  items: [],
+  selected: new Set()
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('loginBtn').addEventListener('click', () => login(document.getElementById('keyInput').value.trim()));
+  document.getElementById('keyInput').addEventListener('keydown', event => {
+    if (event.key === 'Enter') login(event.target.value.trim());
+  });
+  document.getElementById('logoutBtn').addEventListener('click', logout);
+
+  document.getElementById('applyBtn').addEventListener('click', () => { state.offset = 0; loadFeedback(); });
+  document.getElementById('filterText').addEventListener('keydown', event => {
+    if (event.key === 'Enter') { state.offset = 0; loadFeedback(); }
+  });
+  document.getElementById('pageSize').addEventListener('change', () => { state.offset = 0; loadFeedback(); });
+  document.getElementById('prevBtn').addEventListener('click', () => {
+    state.offset = Math.max(0, state.offset - pageSize());
+    loadFeedback();
+  });
+  document.getElementById('nextBtn').addEventListener('click', () => {
+    state.offset += pageSize();
+    loadFeedback();
+  });
+  document.getElementById('chartGroup').addEventListener('change', loadChart);
+
+  document.querySelectorAll('th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => {
+      if (state.sort === th.dataset.sort) {
+        state.order = state.order === 'asc' ? 'desc' : 'asc';
+      } else {
+        state.sort = th.dataset.sort;
+        state.order = 'desc';
+      }
+      loadFeedback();
+    });
+  });
+
+  document.getElementById('selectAll').addEventListener('change', event => {
+    state.items.forEach(item => {
+      if (event.target.checked) state.selected.add(item.id);
+      else state.selected.delete(item.id);
+    });
+    renderRows();
+  });
+
+  document.querySelectorAll('[data-bulk]').forEach(button => {
+    button.addEventListener('click', () => bulkAction(button.dataset.bulk, button.dataset.label));
+  });
+
+  if (state.key) login(state.key);
+});
+
+// ========================================
+// API
+// ========================================
+
+async function api(path, options = {}) {
+  const response = await fetch(path, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${state.key}`
+    }
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (response.status === 401) {
+    logout();
+    throw new Error(body.error || 'Not signed in');
+  }
+  if (!response.ok) {
+    throw new Error(body.error || `HTTP ${response.status}`);
+  }
+  return body;
+}
+
+async function login(key) {
+  const statusEl = document.getElementById('loginStatus');
+  if (!key) return;
+
+  state.key = key;
+  try {
+    const me = await api('/api/admin/whoami');
+    sessionStorage.setItem(KEY_STORAGE, key);
+    document.getElementById('whoami').textContent = me.name;
+    document.getElementById('login').classList.add('hidden');
+    document.getElementById('dashboard').classList.remove('hidden');
+    statusEl.textContent = '';
+    loadFeedback();
+    loadChart();
+  } catch (error) {
+    state.key = null;
+    sessionStorage.removeItem(KEY_STORAGE);
+    statusEl.textContent = `✗ ${error.message}`;
+  }
+}
+
+function logout() {
+  state.key = null;
+  sessionStorage.removeItem(KEY_STORAGE);
+  document.getElementById('dashboard').classList.add('hidden');
+  document.getElementById('login').classList.remove('hidden');
+}
+
+// ========================================
+// Feedback table
+// ========================================
+
+function pageSize() {
+  return Number(document.getElementById('pageSize').value);
+}
+
+function currentQuery() {
+  const params = new URLSearchParams({
+    limit: pageSize(),
+    offset: state.offset,
+    sort: state.sort,
+    order: state.order,
+    excluded: document.getElementById('filterExcluded').value
+  });
+  const filters = {
+    q: 'filterText',
+    feedback: 'filterFeedback',
+    level: 'filterLevel',
+    reviewed: 'filterReviewed',
+    domain: 'filterDomain',
+    model_version: 'filterModel'
+  };
+  Object.entries(filters).forEach(([param, id]) => {
+    const value = document.getElementById(id).value.trim();
+    if (value) params.set(param, value);
+  });
+  return params;
+}
+
+async function loadFeedback() {
+  try {
+    const page = await api(`/api/feedback?${currentQuery()}`);
+    state.total = page.count;
+    state.items = page.feedback;
+    state.selected.clear();
+    renderRows();
+  } catch (error) {
+    setBulkStatus(`✗ ${error.message}`);
+  }
+}
+
+function renderRows() {
+  const tbody = document.getElementById('rows');
+  tbody.replaceChildren(...state.items.map(renderRow));
+
+  document.querySelectorAll('th[data-sort]').forEach(th => {
+    const arrow = th.dataset.sort === state.sort ? (state.order === 'asc' ? ' ▲' : ' ▼') : '';
+    th.textContent = th.textContent.replace(/ [▲▼]$/, '') + arrow;
+  });
+
+  const first = state.total ? state.offset + 1 : 0;
+  const last = state.offset + state.items.length;
+  document.getElementById('pageInfo').textContent = `${first}–${last} of ${state.total}`;
+  document.getElementById('prevBtn').disabled = state.offset === 0;
+  document.getElementById('nextBtn').disabled = last >= state.total;
+
+  document.getElementById('selectAll').checked =
+    state.items.length > 0 && state.items.every(item => state.selected.has(item.id));
+  document.getElementById('selectionCount').textContent = `${state.selected.size} selected`;
+  document.querySelectorAll('[data-bulk]').forEach(button => {
+    button.disabled = state.selected.size === 0;
+  });
+}
+
+function renderRow(item) {
+  const tr = document.createElement('tr');
+  if (item.excluded) tr.className = 'excluded';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = state.selected.has(item.id);
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) state.selected.add(item.id);
+    else state.selected.delete(item.id);
+    renderRows();
+  });
+
+  const text = item.text ?? (item.text_hash ? `(hash only) ${item.text_hash.slice(0, 12)}…` : '');
+  const probability = typeof item.probability === 'number' ? `${Math.round(item.probability * 100)}%` : '';
+
+  const labelCell = document.createElement('td');
+  LABELS.forEach(label => {
+    const button = document.createElement('button');
+    button.textContent = label[0].toUpperCase() + label.slice(1);
+    if (item.review_label === label) button.className = 'active';
+    button.addEventListener('click', () => setLabel(item, item.review_label === label ? null : label));
+    labelCell.append(button, ' ');
+  });
+  if (item.reviewed_by) {
+    const by = document.createElement('div');
+    by.className = 'muted';
+    by.textContent = `by ${item.reviewed_by.name}`;
+    labelCell.append(by);
+  }
+
+  tr.append(
+    cell(checkbox),
+    cell(String(item.id)),
+    cell(item.timestamp ? new Date(item.timestamp).toLocaleString() : ''),
+    cell(text, 'text'),
+    cell(probability),
+    cell(item.level || ''),
+    cell(item.feedback || ''),
+    cell(item.domain || ''),
+    cell(item.model_version || ''),
+    labelCell
+  );
+  return tr;
+}
+
+function cell(content, className) {
+  const td = document.createElement('td');
+  if (className) td.className = className;
+  td.append(content);
+  return td;
+}
+
+// Clicking the active label again clears it
+async function setLabel(item, label) {
+  try {
+    const updated = await api(`/api/admin/feedback/${item.id}/label`, {
+      method: 'POST',
+      body: JSON.stringify({ label })
+    });
+    state.items = state.items.map(existing => existing.id === updated.id ? updated : existing);
+    renderRows();
+  } catch (error) {
+    setBulkStatus(`✗ ${error.message}`);
+  }
+}
+
+async function bulkAction(action, label) {
+  try {
+    const result = await api('/api/admin/feedback/bulk', {
+      method: 'POST',
+      body: JSON.stringify({ ids: [...state.selected], action, label })
+    });
+    setBulkStatus(`✓ Updated ${result.updated}${result.missing.length ? `, ${result.missing.length} missing` : ''}`);
+    await loadFeedback();
+  } catch (error) {
+    setBulkStatus(`✗ ${error.message}`);
+  }
+}
+
+function setBulkStatus(message) {
+  document.getElementById('bulkStatus').textContent = message;
+}
+
+// ========================================
+// Agreement chart
+// ========================================
+
+async function loadChart() {
+  const container = document.getElementById('chart');
+  const groupBy = document.getElementById('chartGroup').value;
+
+  try {
+    const stats = await api(`/api/stats?group_by=${groupBy}`);
+    const points = stats.groups
+      .filter(group => group.agree_rate !== null)
+      .map(group => ({ label: group.key[groupBy], value: group.agree_rate, count: group.agree + group.disagree }));
+    container.replaceChildren(points.length ? drawChart(points) : emptyChart());
+  } catch (error) {
+    container.textContent = `✗ ${error.message}`;
+  }
+}
+
+function emptyChart() {
+  const p = document.createElement('p');
+  p.className = 'muted';
+  p.textContent = 'No rated feedback yet.';
+  return p;
+}
+
+// Plain SVG line chart; agree rate on a fixed 0–100% axis
+function drawChart(points) {
+  const width = 800;
+  const height = 200;
+  const pad = { top: 10, right: 10, bottom: 30, left: 40 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const x = i => pad.left + (points.length === 1 ? plotWidth / 2 : (i / (points.length - 1)) * plotWidth);
+  const y = value => pad.top + (1 - value) * plotHeight;
+
+  const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, preserveAspectRatio: 'none' });
+
+  [0, 0.5, 1].forEach(tick => {
+    svg.append(svgElement('line', { x1: pad.left, x2: width - pad.right, y1: y(tick), y2: y(tick), stroke: '#e5e7eb' }));
+    const label = svgElement('text', { x: pad.left - 6, y: y(tick) + 4, 'text-anchor': 'end', 'font-size': 11, fill: '#6b7280' });
+    label.textContent = `${tick * 100}%`;
+    svg.append(label);
+  });
+
+  svg.append(svgElement('polyline', {
+    points: points.map((p, i) => `${x(i)},${y(p.value)}`).join(' '),
+    fill: 'none',
+    stroke: '#6366f1',
+    'stroke-width': 2
+  }));
+
+  // Label at most ~8 dates along the axis
+  const step = Math.max(1, Math.ceil(points.length / 8));
+  points.forEach((point, i) => {
+    const dot = svgElement('circle', { cx: x(i), cy: y(point.value), r: 3, fill: '#6366f1' });
+    const title = svgElement('title', {});
+    title.textContent = `${point.label}: ${Math.round(point.value * 100)}% agree (${point.count} rated)`;
+    dot.append(title);
+    svg.append(dot);
+
+    if (i % step === 0) {
+      const label = svgElement('text', { x: x(i), y: height - 10, 'text-anchor': 'middle', 'font-size': 11, fill: '#6b7280' });
+      label.textContent = point.label;
+      svg.append(label);
+    }
+  });
+
+  return svg;
+}
+
+function svgElement(name, attributes) {
+  const element = document.createElementNS('http://www.w3.org/2000/svg', name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+}
@@ -0,0 +1,253 @@
+import fs from 'fs';
+import path from 'path';
+
+// Active-learning queue of sentences worth a human label.
+// Sentences come from feedback submissions and /api/analyze traffic and are
+// keyed by text hash, so repeat sightings raise an item's priority instead of
+// adding duplicates. An item is queued when its probability falls in
+// UNCERTAIN_RANGE (around the medium/high decision boundary) or when a user
+// disagreed with the detector. Hash-only sightings can raise the priority
+// of an item that is already queued but never create one, since annotators
+// need the text.
+//
+// Each item collects `required` annotations from different annotators.
+// Unanimous items resolve on their own; split ones become `disputed` until
+// an admin picks the final label. Persistence is the same append-only
+// JSON-lines scheme as FeedbackStore: the last line for an id wins.
+// Sightings are applied in memory and written in one batch at most every
+// `flushMs`, so a sentence seen many times costs one line per batch; call
+// flush() before exiting. Annotations and resolutions are written at once.
+
+export const UNCERTAIN_RANGE = [0.4, 0.7];
+export const STATUSES = ['open', 'disputed', 'resolved'];
+export const DEFAULT_REQUIRED_ANNOTATIONS = 2;
+export const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+export const DEFAULT_MAX_OPEN = 10000;
+export const DEFAULT_FLUSH_MS = 1000;
+
+export class LabelQueue {
+  constructor(file, {
+    required = DEFAULT_REQUIRED_ANNOTATIONS,
+    leaseMs = DEFAULT_LEASE_MS,
+    maxOpen = DEFAULT_MAX_OPEN,
+    flushMs = DEFAULT_FLUSH_MS
+  } = {}) {
+    this.file = file;
+    this.required = required;
+    this.leaseMs = leaseMs;
+    this.maxOpen = maxOpen;
+    this.flushMs = flushMs;
+    this.items = new Map();
+    // ids of items changed by offer() but not written yet
+    this.pending = new Set();
+    this.flushTimer = null;
+    this.byHash = new Map();
+    // item id -> Map(annotator id -> lease expiry); in memory only
+    this.leases = new Map();
+    this.lastId = 0;
+    this.load();
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.file), {recursive: true});
+    if (!fs.existsSync(this.file)) return;
+
+    let lines = 0;
+    fs.readFileSync(this.file, 'utf8').split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      lines++;
+      try {
+        this.put(JSON.parse(line));
+      } catch (error) {
+        console.warn(`Skipping unreadable queue item on line ${index + 1} of ${this.file}`);
+      }
+    });
+
+    // Compact once superseded lines outnumber live ones
+    if (lines > this.items.size * 2) this.rewrite();
+  }
+
+  rewrite() {
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, [...this.items.values()].map(item => JSON.stringify(item) + '\n').join(''));
+    fs.renameSync(tmp, this.file);
+  }
+
+  put(item) {
+    this.items.set(item.id, item);
+    this.byHash.set(item.text_hash, item.id);
+    this.lastId = Math.max(this.lastId, item.id);
+  }
+
+  save(item) {
+    item.updated_at = new Date().toISOString();
+    this.pending.delete(item.id);
+    fs.appendFileSync(this.file, JSON.stringify(item) + '\n');
+    this.put(item);
+    return item;
+  }
+
+  // Like save(), but leaves the write to the next flush
+  defer(item) {
+    item.updated_at = new Date().toISOString();
+    this.put(item);
+    this.pending.add(item.id);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushMs);
+      this.flushTimer.unref();
+    }
+    return item;
+  }
+
+  // Writes the latest version of every deferred item in one append
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.pending.size) return;
+    const lines = [...this.pending].map(id => JSON.stringify(this.items.get(id)) + '\n').join('');
+    this.pending.clear();
+    fs.appendFileSync(this.file, lines);
+  }
+
+  get(id) {
+    return this.items.get(id) || null;
+  }
+
+  // candidate: {text_hash, text, probability, level, source: 'feedback' | 'analyze', disputed}
+  // Returns the queued item, or null when the sentence was not worth queueing.
+  offer({text_hash, text, probability, level, source, disputed = false}) {
+    const existing = this.items.get(this.byHash.get(text_hash));
+
+    if (existing) {
+      if (existing.status !== 'open') return existing;
+      const item = {
+        ...existing,
+        text: existing.text ?? text ?? null,
+        sources: {...existing.sources, [source]: (existing.sources[source] || 0) + 1},
+        disputes: existing.disputes + (disputed ? 1 : 0)
+      };
+      item.priority = priority(item);
+      return this.defer(item);
+    }
+
+    if (!text || !(disputed || isUncertain(probability))) return null;
+    if (this.counts().open >= this.maxOpen) return null;
+
+    const item = {
+      id: this.lastId + 1,
+      text_hash,
+      text,
+      probability,
+      level,
+      sources: {[source]: 1},
+      disputes: disputed ? 1 : 0,
+      priority: 0,
+      status: 'open',
+      annotations: [],
+      label: null,
+      resolved_by: null,
+      resolved_at: null,
+      created_at: new Date().toISOString()
+    };
+    item.priority = priority(item);
+    return this.defer(item);
+  }
+
+  // Highest-priority open item the annotator has not labeled yet and that
+  // still needs annotations once outstanding leases are counted. Leases it
+  // to the annotator so parallel annotators spread over different items.
+  next(annotatorId) {
+    const now = Date.now();
+    let best = null;
+
+    for (const item of this.items.values()) {
+      if (item.status !== 'open') continue;
+      if (item.annotations.some(a => a.annotator.id === annotatorId)) continue;
+
+      const leases = this.activeLeases(item.id, now);
+      const leasedToOthers = [...leases.keys()].filter(id => id !== annotatorId).length;
+      if (item.annotations.length + leasedToOthers >= this.required) continue;
+
+      if (!best || item.priority > best.priority ||
+          (item.priority === best.priority && item.id < best.id)) {
+        best = item;
+      }
+    }
+
+    if (best) this.activeLeases(best.id, now).set(annotatorId, now + this.leaseMs);
+    return best;
+  }
+
+  activeLeases(itemId, now = Date.now()) {
+    if (!this.leases.has(itemId)) this.leases.set(itemId, new Map());
+    const leases = this.leases.get(itemId);
+    for (const [annotatorId, expires] of leases) {
+      if (expires <= now) leases.delete(annotatorId);
+    }
+    return leases;
+  }
+
+  // Records (or replaces) one annotator's label on an open item
+  annotate(id, annotator, label) {
+    const existing = this.get(id);
+    const annotations = existing.annotations
+      .filter(a => a.annotator.id !== annotator.id)
+      .concat({annotator, label, at: new Date().toISOString()});
+    const item = {...existing, annotations};
+
+    if (annotations.length >= this.required) {
+      const labels = new Set(annotations.map(a => a.label));
+      if (labels.size === 1) {
+        Object.assign(item, resolution(label, {id: 'consensus', name: 'consensus'}));
+      } else {
+        item.status = 'disputed';
+      }
+    }
+
+    this.leases.delete(id);
+    return this.save(item);
+  }
+
+  // Final say on an item, normally a disputed one
+  resolve(id, label, resolver) {
+    this.leases.delete(id);
+    return this.save({...this.get(id), ...resolution(label, resolver)});
+  }
+
+  all() {
+    return [...this.items.values()];
+  }
+
+  list({status, limit = 100, offset = 0} = {}) {
+    const matches = [...this.items.values()]
+      .filter(item => !status || item.status === status)
+      .sort((a, b) => b.priority - a.priority || a.id - b.id);
+    return {total: matches.length, items: matches.slice(offset, offset + limit)};
+  }
+
+  counts() {
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    this.items.forEach(item => { counts[item.status]++; });
+    return counts;
+  }
+}
+
+export function isUncertain(probability) {
+  return typeof probability === 'number' &&
+    probability >= UNCERTAIN_RANGE[0] && probability <= UNCERTAIN_RANGE[1];
+}
+
+// Closeness to the middle of the uncertain range (0..1), plus a bonus per
+// user dispute and a smaller one for sentences seen many times
+function priority(item) {
+  const [low, high] = UNCERTAIN_RANGE;
+  const half = (high - low) / 2;
+  const uncertainty = Math.max(0, 1 - Math.abs(item.probability - (low + half)) / half);
+  const seen = Object.values(item.sources).reduce((sum, n) => sum + n, 0);
+  const score = uncertainty + Math.min(item.disputes, 5) * 0.2 + Math.min(Math.log10(seen), 1) * 0.1;
+  return Math.round(score * 1000) / 1000;
+}
+
+function resolution(label, resolver) {
+  return {status: 'resolved', label, resolved_by: resolver, resolved_at: new Date().toISOString()};
+}
@@ -0,0 +1,42 @@
+// In-memory token-bucket rate limiting.
+// Each client gets `limit` requests per window, refilled continuously, so
+// short bursts are allowed but the sustained rate is capped.
+
+export class RateLimiter {
+  // now: clock in milliseconds, replaceable for tests
+  constructor({windowMs = 60 * 1000, now = Date.now} = {}) {
+    this.windowMs = windowMs;
+    this.now = now;
+    this.buckets = new Map();
+  }
+
+  // Returns {allowed, remaining, retryAfter} where retryAfter is in seconds
+  take(id, limit) {
+    const now = this.now();
+    const refillPerMs = limit / this.windowMs;
+    const bucket = this.buckets.get(id) || {tokens: limit, updated: now};
+
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updated) * refillPerMs);
+    bucket.updated = now;
+    this.buckets.set(id, bucket);
+
+    if (bucket.tokens < 1) {
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfter: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)
+      };
+    }
+
+    bucket.tokens -= 1;
+    return {allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0};
+  }
+
+  // Forget buckets that have fully refilled; called periodically
+  sweep() {
+    const cutoff = this.now() - this.windowMs;
+    for (const [id, bucket] of this.buckets) {
+      if (bucket.updated < cutoff) this.buckets.delete(id);
+    }
+  }
+}
@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import {normalizeSentence} from '../extension/lib/result-cache.js';
+import {redactPII} from '../extension/lib/redact.js';
+
+// Versioned request schemas for POST /api/feedback.
+//
+// v1: the original flat body  {text_hash, text_length, score, feedback, model_version}
+// v2: what the extension sends {text, probability, level, feedbackType, url, timestamp}
+// v3: v2 plus hash-only items, which carry {text_hash, length, features}
+//     instead of the text, the detected `language` of the sentence and
+//     the `model_profile` that scored it
+//
+// `url` may be a full URL or a bare hostname; only the hostname is stored.
+//
+// Either version can be submitted as a single object or as a batch under
+// `feedback: [...]`. Clients may pin a version with `schema_version`;
+// otherwise it is inferred from the shape of the body.
+
+export const LATEST_REQUEST_VERSION = 3;
+export const MAX_BATCH_SIZE = 100;
+
+const FEEDBACK_TYPES = ['agree', 'disagree'];
+const LEVELS = ['high', 'medium', 'low'];
+
+const itemSchemas = {
+  1: {
+    text_hash: {type: 'string', required: true, maxLength: 128},
+    text_length: {type: 'integer', min: 0},
+    score: {type: 'number', min: 0, max: 1},
+    model_version: {type: 'string', maxLength: 64},
+    feedback: {type: 'string', required: true, enum: FEEDBACK_TYPES}
+  },
+  2: {
+    text: {type: 'string', required: true, minLength: 1, maxLength: 5000},
+    probability: {type: 'number', required: true, min: 0, max: 1},
+    level: {type: 'string', required: true, enum: LEVELS},
+    feedbackType: {type: 'string', required: true, enum: FEEDBACK_TYPES},
+    url: {type: 'url', maxLength: 255},
+    timestamp: {type: 'timestamp'},
+    model_version: {type: 'string', maxLength: 64}
+  },
+  3: {
+    text: {type: 'string', minLength: 1, maxLength: 5000},
+    text_hash: {type: 'string', pattern: /^[0-9a-f]{64}$/, patternMessage: 'must be a hex SHA-256'},
+    length: {type: 'integer', min: 0},
+    features: {type: 'object'},
+    probability: {type: 'number', required: true, min: 0, max: 1},
+    level: {type: 'string', required: true, enum: LEVELS},
+    feedbackType: {type: 'string', required: true, enum: FEEDBACK_TYPES},
+    url: {type: 'url', maxLength: 255},
+    timestamp: {type: 'timestamp'},
+    model_version: {type: 'string', maxLength: 64},
+    model_profile: {type: 'string', maxLength: 64},
+    language: {type: 'string', pattern: /^[a-z]{2,3}$/, patternMessage: 'must be an ISO 639 language code'}
+  }
+};
+
+// Rules spanning more than one field
+const crossChecks = {
+  3: item => {
+    const hasText = item.text !== undefined && item.text !== null;
+    const hasHash = item.text_hash !== undefined && item.text_hash !== null;
+    if (hasText === hasHash) return [{field: 'text', message: 'send exactly one of text or text_hash'}];
+    if (hasHash && item.length === undefined) return [{field: 'length', message: 'is required with text_hash'}];
+    return [];
+  }
+};
+
+// Maps a validated item onto the stored record shape
+const toRecord = {
+  1: item => ({
+    text: null,
+    text_hash: item.text_hash,
+    length: item.text_length || 0,
+    features: null,
+    text_mode: 'hash',
+    probability: item.score ?? null,
+    level: null,
+    feedback: item.feedback,
+    domain: null,
+    model_version: item.model_version || 'v0',
+    model_profile: null,
+    language: null,
+    client_timestamp: null
+  }),
+  2: item => ({
+    text: item.text,
+    text_hash: hashText(item.text),
+    length: item.text.length,
+    features: null,
+    text_mode: 'text',
+    probability: item.probability,
+    level: item.level,
+    feedback: item.feedbackType,
+    domain: item.url ? hostnameOf(item.url) : null,
+    model_version: item.model_version || 'v0',
+    model_profile: null,
+    language: null,
+    client_timestamp: item.timestamp === undefined ? null : new Date(item.timestamp).toISOString()
+  }),
+  3: item => ({
+    text: item.text ?? null,
+    text_hash: item.text ? hashText(item.text) : item.text_hash,
+    length: item.text ? item.text.length : item.length,
+    features: item.features || null,
+    text_mode: item.text ? 'text' : 'hash',
+    probability: item.probability,
+    level: item.level,
+    feedback: item.feedbackType,
+    domain: item.url ? hostnameOf(item.url) : null,
+    model_version: item.model_version || 'v0',
+    model_profile: item.model_profile || null,
+    language: item.language || null,
+    client_timestamp: item.timestamp === undefined ? null : new Date(item.timestamp).toISOString()
+  })
+};
+
+// Splits a request body into stored-record candidates and per-field errors.
+// Returns {version, records, errors, rejected}; `errors` with no `index`
+// apply to the request as a whole and mean nothing can be accepted.
+export function parseFeedbackRequest(body) {
+  if (!isPlainObject(body)) {
+    return requestError(null, 'body', 'must be a JSON object');
+  }
+
+  const batched = Array.isArray(body.feedback);
+  const items = batched ? body.feedback : [body];
+  const version = body.schema_version ?? inferVersion(items[0]);
+
+  if (!itemSchemas[version]) {
+    return requestError(version, 'schema_version',
+      `must be one of ${Object.keys(itemSchemas).join(', ')}`);
+  }
+  if (batched && items.length === 0) {
+    return requestError(version, 'feedback', 'must contain at least one item');
+  }
+  if (items.length > MAX_BATCH_SIZE) {
+    return requestError(version, 'feedback', `must contain at most ${MAX_BATCH_SIZE} items`);
+  }
+
+  const records = [];
+  const errors = [];
+  let rejected = 0;
+
+  items.forEach((item, index) => {
+    let itemErrors = validate(item, itemSchemas[version]);
+    if (itemErrors.length === 0 && crossChecks[version]) itemErrors = crossChecks[version](item);
+    if (itemErrors.length > 0) {
+      rejected++;
+      itemErrors.forEach(error => errors.push({index, ...error}));
+    } else {
+      records.push(toRecord[version](item));
+    }
+  });
+
+  return {version, records, errors, rejected};
+}
+
+// Same normalization and digest as hashSentence in the extension, so
+// hash-only submissions line up with text submissions of the same sentence
+export function hashText(text) {
+  return crypto.createHash('sha256').update(normalizeSentence(text)).digest('hex');
+}
+
+// Hostname of a URL or bare hostname, or null if it does not parse. Paths,
+// queries and credentials are dropped so they are never stored.
+export function hostnameOf(value) {
+  try {
+    const {hostname} = new URL(value.includes('://') ? value : `https://${value}`);
+    return hostname || null;
+  } catch {
+    return null;
+  }
+}
+
+// Scrubs a record before it is stored or exported: PII in the text is
+// redacted (clients may be old or misconfigured) and the domain reduced to
+// a hostname. Redaction counts add up across passes, so scrubbing an
+// already scrubbed record changes nothing.
+export function scrubRecord(record) {
+  const scrubbed = {...record, redactions: record.redactions ?? null};
+  if (record.text) {
+    const {text, redactions} = redactPII(record.text);
+    scrubbed.text = text;
+    scrubbed.redactions = {...record.redactions};
+    Object.entries(redactions).forEach(([type, count]) => {
+      scrubbed.redactions[type] = (scrubbed.redactions[type] || 0) + count;
+    });
+  }
+  if (record.domain) scrubbed.domain = hostnameOf(record.domain);
+  return scrubbed;
+}
+
+function inferVersion(item) {
+  if (isPlainObject(item) && 'text_hash' in item && !('feedbackType' in item)) return 1;
+  return LATEST_REQUEST_VERSION;
+}
+
+function requestError(version, field, message) {
+  return {version, records: [], errors: [{field, message}], rejected: 0};
+}
+
+function validate(item, schema) {
+  if (!isPlainObject(item)) return [{field: null, message: 'must be a JSON object'}];
+
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = item[field];
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push({field, message: 'is required'});
+      continue;
+    }
+    const message = checkValue(value, rule);
+    if (message) errors.push({field, message});
+  }
+  return errors;
+}
+
+function checkValue(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (rule.minLength && value.length < rule.minLength) {
+        return rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters`;
+      }
+      if (rule.maxLength && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+      if (rule.pattern && !rule.pattern.test(value)) return rule.patternMessage;
+      break;
+    case 'url':
+      if (typeof value !== 'string') return 'must be a string';
+      if (value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+      if (!hostnameOf(value)) return 'must be a URL or hostname';
+      break;
+    case 'object':
+      if (!isPlainObject(value)) return 'must be a JSON object';
+      if (JSON.stringify(value).length > 2000) return 'is too large';
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      if (rule.type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+      if (rule.min !== undefined && value < rule.min) return `must be >= ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `must be <= ${rule.max}`;
+      break;
+    case 'timestamp':
+      if (typeof value !== 'number' && typeof value !== 'string') return 'must be epoch milliseconds or an ISO date';
+      if (isNaN(new Date(value))) return 'is not a valid date';
+      break;
+  }
+  if (rule.enum && !rule.enum.includes(value)) return `must be one of ${rule.enum.join(', ')}`;
+  return null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
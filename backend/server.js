@@ -1,36 +1,404 @@
 import express from 'express';
 import cors from 'cors';
 import bodyParser from 'body-parser';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {FeedbackStore} from './store.js';
+import {hashText, parseFeedbackRequest} from './schema.js';
+import {analyzeDocument, detectSentences, loadRulesets, parseAnalyzeRequest, parseDetectRequest} from './analyze.js';
+import {ResultCache} from '../extension/lib/result-cache.js';
+import {ApiKeyStore} from './api-keys.js';
+import {authenticate, requireKey, rateLimit} from './auth.js';
+import {ModelRegistry, validateModelEntry} from './models.js';
+import {MODEL_PROFILES} from '../extension/lib/models.js';
+import {redactPII} from '../extension/lib/redact.js';
+import {createAdminRouter} from './admin.js';
+import {LabelQueue, isUncertain} from './queue.js';
+import {createLabelingRouter} from './labeling.js';
+import {agreementReport, labelQuality} from './agreement.js';
+import {FORMATS, SPLITS, buildDataset, countSplits, parseRatios, toCSV, toJSONL} from './export.js';
+import {GROUP_KEYS, computeStats} from './stats.js';
+import {STRATEGIES, MIN_SAMPLES, ThresholdStore, calibrateThresholds} from './thresholds.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const rulesDir = process.env.RULES_DIR || path.join(__dirname, '../extension/rules');
+
+// Browser origins allowed to call the API. The extension's service worker
+// is covered by its host permission, so by default only extension pages are.
+const corsOrigins = process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : [];
 
 const app = express();
-app.use(cors());
+if (process.env.TRUST_PROXY) app.set('trust proxy', process.env.TRUST_PROXY);
+app.use(cors({
+  origin: (origin, callback) => callback(null,
+    !origin || origin.startsWith('chrome-extension://') || corsOrigins.includes(origin))
+}));
 app.use(bodyParser.json());
 
-let feedback = [];
+const feedback = new FeedbackStore(path.join(dataDir, 'feedback.jsonl'));
+const thresholds = new ThresholdStore(path.join(dataDir, 'thresholds.json'));
+const rulesets = loadRulesets(rulesDir);
+const apiKeys = new ApiKeyStore(path.join(dataDir, 'api-keys.json'));
+const models = new ModelRegistry(path.join(dataDir, 'models.json'));
+const labelQueue = new LabelQueue(path.join(dataDir, 'label-queue.jsonl'), {
+  required: Number(process.env.LABEL_QUEUE_ANNOTATIONS) || undefined
+});
+const resultCache = new ResultCache({
+  maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 50000,
+  ttl: Number(process.env.CACHE_TTL_MS) || 24 * 60 * 60 * 1000
+});
 
 app.get('/api/health', (req, res) => {
   res.json({ok: true});
 });
 
-app.post('/api/feedback', (req, res) => {
-  const data = req.body;
-  // Basic storage; in real application use DB
-  feedback.push({
-    text_hash: data.text_hash || '',
-    length: data.text_length || 0,
-    model_version: data.model_version || 'v0',
-    score: data.score || 0,
-    feedback: data.feedback || '',
-    timestamp: new Date().toISOString()
+// Review dashboard; its data comes from the admin-key routes below
+app.use('/admin', express.static(path.join(__dirname, 'public/admin')));
+
+// Every other route is rate limited per IP and, when a key is sent, per key.
+// Limits are requests per minute.
+app.use(authenticate(apiKeys));
+app.use(rateLimit({
+  perKey: Number(process.env.RATE_LIMIT_PER_KEY) || 120,
+  perIp: Number(process.env.RATE_LIMIT_PER_IP) || 60,
+  windowMs: 60 * 1000
+}));
+
+// Accepts a single item or a batch under `feedback: [...]` (see schema.js).
+// Valid items are stored even when others in the batch are rejected.
+app.post('/api/feedback', requireKey(), (req, res) => {
+  const {version, records, errors, rejected} = parseFeedbackRequest(req.body);
+
+  if (records.length === 0) {
+    return res.status(400).json({
+      error: 'Invalid feedback submission',
+      schema_version: version,
+      accepted: 0,
+      rejected,
+      errors
+    });
+  }
+
+  // The store scrubs PII again server-side before anything is written
+  const timestamp = new Date().toISOString();
+  records.forEach(record => {
+    const stored = feedback.insert({...record, timestamp});
+    labelQueue.offer({...stored, source: 'feedback', disputed: stored.feedback === 'disagree'});
+  });
+
+  res.json({
+    status: 'received',
+    schema_version: version,
+    accepted: records.length,
+    rejected,
+    errors,
+    count: feedback.count()
+  });
+});
+
+const SORT_FIELDS = ['id', 'timestamp', 'probability', 'level', 'feedback', 'domain', 'model_version', 'language', 'review_label'];
+
+// Paged listing, newest first.
+// Query: limit, offset, sort, order (asc|desc), model_version, feedback, level,
+// domain, language, review_label, reviewed (true|false), excluded (true|false|all), q, since, until
+app.get('/api/feedback', requireKey('admin'), (req, res) => {
+  const limit = parseInteger(req.query.limit, 100);
+  const offset = parseInteger(req.query.offset, 0);
+  const since = parseDate(req.query.since);
+  const until = parseDate(req.query.until);
+
+  if (limit === null || limit < 1 || limit > 1000) {
+    return res.status(400).json({error: 'limit must be an integer between 1 and 1000'});
+  }
+  if (offset === null || offset < 0) {
+    return res.status(400).json({error: 'offset must be a non-negative integer'});
+  }
+  if (since === null || until === null) {
+    return res.status(400).json({error: 'since and until must be valid dates'});
+  }
+  const sort = req.query.sort || 'id';
+  if (!SORT_FIELDS.includes(sort)) {
+    return res.status(400).json({error: `sort must be one of ${SORT_FIELDS.join(', ')}`});
+  }
+
+  const {total, items} = feedback.query({
+    filters: {
+      model_version: req.query.model_version,
+      feedback: req.query.feedback,
+      level: req.query.level,
+      domain: req.query.domain,
+      language: req.query.language,
+      review_label: req.query.review_label,
+      reviewed: parseBoolean(req.query.reviewed),
+      excluded: req.query.excluded === 'all' ? undefined : parseBoolean(req.query.excluded) ?? false,
+      q: req.query.q,
+      since,
+      until
+    },
+    limit,
+    offset,
+    sort,
+    order: req.query.order === 'asc' ? 'asc' : 'desc'
+  });
+
+  res.json({count: total, limit, offset, feedback: items});
+});
+
+// Labeled dataset for fine-tuning, as a download.
+// Query: format (jsonl|csv), split (train|validation|test, default all),
+// since, until, ratios (e.g. 0.8,0.1,0.1), seed, dedupe (true|false)
+app.get('/api/export', requireKey('admin'), (req, res) => {
+  const format = req.query.format || 'jsonl';
+  const split = req.query.split;
+  const ratios = parseRatios(req.query.ratios);
+  const since = parseDate(req.query.since);
+  const until = parseDate(req.query.until);
+  const errors = [];
+
+  if (!FORMATS.includes(format)) errors.push({field: 'format', message: `must be one of ${FORMATS.join(', ')}`});
+  if (split && !SPLITS.includes(split)) errors.push({field: 'split', message: `must be one of ${SPLITS.join(', ')}`});
+  if (!ratios) errors.push({field: 'ratios', message: 'must be three non-negative numbers, e.g. 0.8,0.1,0.1'});
+  if (since === null) errors.push({field: 'since', message: 'must be a valid date'});
+  if (until === null) errors.push({field: 'until', message: 'must be a valid date'});
+  if (errors.length) {
+    return res.status(400).json({error: 'Invalid export request', errors});
+  }
+
+  const rows = buildDataset(feedback.find({since, until}), {
+    ratios,
+    seed: req.query.seed || '',
+    dedupe: req.query.dedupe === 'true',
+    quality: labelQuality(labelQueue.all())
+  });
+  const selected = split ? rows.filter(row => row.split === split) : rows;
+  const counts = countSplits(rows);
+  const report = agreementReport(labelQueue.all());
+
+  res.set('X-Dataset-Rows', String(selected.length));
+  res.set('X-Dataset-Splits', Object.entries(counts).map(([name, n]) => `${name}=${n}`).join(','));
+  res.set('X-Label-Agreement', String(report.percent_agreement));
+  res.set('X-Label-Fleiss-Kappa', String(report.fleiss_kappa));
+  res.set('X-Label-Flagged-Annotators', report.annotators.filter(a => a.flagged).map(a => a.id).join(','));
+  res.attachment(`feedback-${split || 'all'}.${format}`);
+  res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+  res.send(format === 'csv' ? toCSV(selected) : toJSONL(selected));
+});
+
+app.use('/api/admin', requireKey('admin'), createAdminRouter({feedback}));
+app.use('/api/queue', requireKey(['annotator', 'admin']), createLabelingRouter({queue: labelQueue, feedback}));
+
+// Agree/disagree rates and level distributions.
+// Query: since, until, group_by (comma-separated: day, week, domain, model_version, language)
+app.get('/api/stats', requireKey(), (req, res) => {
+  const since = parseDate(req.query.since);
+  const until = parseDate(req.query.until);
+  const groupBy = req.query.group_by ? String(req.query.group_by).split(',').map(s => s.trim()) : [];
+
+  if (since === null || until === null) {
+    return res.status(400).json({error: 'since and until must be valid dates'});
+  }
+  const unknown = groupBy.filter(name => !GROUP_KEYS.includes(name));
+  if (unknown.length) {
+    return res.status(400).json({
+      error: `Unknown group_by value: ${unknown.join(', ')}`,
+      allowed: GROUP_KEYS
+    });
+  }
+
+  const records = feedback.find({since, until});
+  res.json({since: since || null, until: until || null, group_by: groupBy, ...computeStats(records, groupBy)});
+});
+
+// Detector model registry
+app.get('/api/models', (req, res) => {
+  res.json({models: models.list(), profiles: MODEL_PROFILES});
+});
+
+// Polled by the extension on startup and daily
+app.get('/api/models/active', (req, res) => {
+  const model = models.active();
+  if (!model) return res.status(404).json({error: 'No active model version'});
+  res.json(model);
+});
+
+// Registers a new (inactive) version. Body: {id, profile, thresholds, released_at, notes}
+// where profile names a built-in model profile or is an inline one
+app.post('/api/models', requireKey('admin'), (req, res) => {
+  const errors = validateModelEntry(req.body, models);
+  if (errors.length) {
+    return res.status(400).json({error: 'Invalid model version', errors});
+  }
+  const {id, profile, thresholds = null, released_at, notes} = req.body;
+  res.status(201).json(models.add({id, profile, thresholds, released_at, notes}));
+});
+
+app.post('/api/models/:id/activate', requireKey('admin'), (req, res) => {
+  const model = models.activate(req.params.id);
+  if (!model) return res.status(404).json({error: `Unknown model version ${req.params.id}`});
+  res.json(model);
+});
+
+// The heuristic rule packs in their file format, so clients can pick up
+// tuned rules without a new build
+app.get('/api/rulesets', (req, res) => {
+  res.json({rulesets: rulesets.raw});
+});
+
+// One rule pack; ?language= defaults to English for older clients
+app.get('/api/ruleset', (req, res) => {
+  const language = req.query.language || 'en';
+  const raw = rulesets.raw.find(pack => pack.language === language);
+  if (!raw) return res.status(404).json({error: `No rule pack for language ${language}`});
+  res.json(raw);
+});
+
+// Current level cut-offs; the extension caches these by version
+app.get('/api/thresholds', (req, res) => {
+  res.json(thresholds.current);
+});
+
+// Recomputes thresholds from labeled feedback.
+// Body: {strategy, target_fpr, medium_fpr, since}
+app.post('/api/thresholds/calibrate', requireKey('admin'), (req, res) => {
+  const body = req.body || {};
+  const strategy = body.strategy || 'agreement';
+  const since = parseDate(body.since);
+  const errors = [];
+
+  if (!STRATEGIES.includes(strategy)) {
+    errors.push({field: 'strategy', message: `must be one of ${STRATEGIES.join(', ')}`});
+  }
+  ['target_fpr', 'medium_fpr'].forEach(field => {
+    const value = body[field];
+    if (value !== undefined && !(typeof value === 'number' && value >= 0 && value <= 1)) {
+      errors.push({field, message: 'must be a number between 0 and 1'});
+    }
+  });
+  if (since === null) errors.push({field: 'since', message: 'must be a valid date'});
+  if (errors.length) {
+    return res.status(400).json({error: 'Invalid calibration request', errors});
+  }
+
+  const calibration = calibrateThresholds(feedback.find({since}), {
+    strategy,
+    targetFpr: body.target_fpr,
+    mediumFpr: body.medium_fpr
+  });
+
+  if (!calibration) {
+    return res.status(422).json({
+      error: `Calibration needs at least ${MIN_SAMPLES} labeled feedback items covering both AI and human labels`
+    });
+  }
+
+  res.json(thresholds.update(calibration));
+});
+
+// Scores raw text with the same heuristics as the extension.
+// Body: {text} for one document or {documents: [{id, text}]} for a batch.
+app.post('/api/analyze', async (req, res, next) => {
+  const {documents, batched, errors} = parseAnalyzeRequest(req.body);
+
+  if (errors) {
+    return res.status(400).json({error: 'Invalid analyze request', errors});
+  }
+
+  const options = {rulesets, thresholds: thresholds.current, cache: resultCache};
+  const versions = {
+    ruleset_versions: Object.fromEntries([...rulesets.packs].map(([language, pack]) => [language, pack.version])),
+    thresholds_version: thresholds.current.version
+  };
+
+  try {
+    if (!batched) {
+      const analyzed = await analyzeDocument(documents[0].text, {...options, locale: documents[0].locale});
+      if (req.apiKey) queueUncertain(analyzed.results);
+      return res.json({...versions, ...analyzed});
+    }
+
+    const analyzed = await Promise.all(documents.map(async doc =>
+      ({id: doc.id, ...await analyzeDocument(doc.text, {...options, locale: doc.locale})})
+    ));
+    if (req.apiKey) analyzed.forEach(doc => queueUncertain(doc.results));
+    res.json({...versions, documents: analyzed});
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The HTTP detector protocol, so the extension can use this server as an
+// ensemble member. Body: {sentences: [{text, language}]}; responds with one
+// score per sentence, null for languages without a rule pack.
+app.post('/api/detect', async (req, res, next) => {
+  const {sentences, errors} = parseDetectRequest(req.body);
+
+  if (errors) {
+    return res.status(400).json({error: 'Invalid detect request', errors});
+  }
+
+  try {
+    const scores = await detectSentences(sentences, {rulesets});
+    res.json({detector: 'heuristic', scores});
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Borderline sentences from authenticated analyze traffic feed the labeling
+// queue, scrubbed of PII like feedback text. Anonymous callers are not
+// trusted to decide what annotators see.
+function queueUncertain(results) {
+  results.filter(result => isUncertain(result.probability)).forEach(result => {
+    labelQueue.offer({
+      text_hash: hashText(result.text),
+      text: redactPII(result.text).text,
+      probability: result.probability,
+      level: result.level,
+      source: 'analyze'
+    });
   });
-  res.json({status: 'received', count: feedback.length});
+}
+
+// Hit rate and size of the /api/analyze result cache
+app.get('/api/cache', (req, res) => {
+  res.json(resultCache.stats());
 });
 
-app.get('/api/feedback', (req, res) => {
-  res.json({count: feedback.length, feedback});
+// Malformed JSON bodies get the same structured shape as validation errors
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+    return res.status(err.status).json({
+      error: 'Invalid request body',
+      errors: [{field: 'body', message: err.message}]
+    });
+  }
+  next(err);
 });
 
+// Returns the fallback when absent, null when present but invalid
+function parseInteger(value, fallback) {
+  if (value === undefined) return fallback;
+  return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+function parseBoolean(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+}
+
+function parseDate(value) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString();
+}
+
 const port = process.env.PORT || 3000;
 app.listen(port, () => {
   console.log(`Feedback server running on port ${port}`);
 });
+
+// Write out labeling-queue sightings still waiting for their batch
+process.on('exit', () => labelQueue.flush());
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(0)));
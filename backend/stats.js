@@ -0,0 +1,75 @@
+// Aggregated feedback statistics for GET /api/stats.
+// Records are bucketed by any combination of GROUP_KEYS; each bucket reports
+// agree/disagree rates and the distribution of detection levels.
+
+export const GROUP_KEYS = ['day', 'week', 'domain', 'model_version', 'language'];
+
+const LEVELS = ['high', 'medium', 'low'];
+
+const keyFor = {
+  day: record => record.timestamp.slice(0, 10),
+  week: record => weekStart(record.timestamp),
+  domain: record => record.domain || 'unknown',
+  model_version: record => record.model_version || 'v0',
+  language: record => record.language || 'und'
+};
+
+export function computeStats(records, groupBy = []) {
+  const groups = new Map();
+
+  records.forEach(record => {
+    const key = {};
+    groupBy.forEach(name => { key[name] = keyFor[name](record); });
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) groups.set(id, {key, records: []});
+    groups.get(id).records.push(record);
+  });
+
+  return {
+    total: summarize(records),
+    groups: [...groups.values()]
+      .map(group => ({key: group.key, ...summarize(group.records)}))
+      .sort((a, b) => compareKeys(a.key, b.key, groupBy))
+  };
+}
+
+function summarize(records) {
+  const levels = {high: 0, medium: 0, low: 0, unknown: 0};
+  let agree = 0;
+  let disagree = 0;
+
+  records.forEach(record => {
+    if (record.feedback === 'agree') agree++;
+    if (record.feedback === 'disagree') disagree++;
+    levels[LEVELS.includes(record.level) ? record.level : 'unknown']++;
+  });
+
+  const rated = agree + disagree;
+  return {
+    count: records.length,
+    agree,
+    disagree,
+    agree_rate: rated ? agree / rated : null,
+    disagree_rate: rated ? disagree / rated : null,
+    levels,
+    level_distribution: Object.fromEntries(
+      Object.entries(levels).map(([level, n]) => [level, records.length ? n / records.length : null])
+    )
+  };
+}
+
+// Monday of the ISO week containing the timestamp, as YYYY-MM-DD
+function weekStart(timestamp) {
+  const date = new Date(timestamp.slice(0, 10) + 'T00:00:00Z');
+  const offset = (date.getUTCDay() + 6) % 7;
+  date.setUTCDate(date.getUTCDate() - offset);
+  return date.toISOString().slice(0, 10);
+}
+
+function compareKeys(a, b, groupBy) {
+  for (const name of groupBy) {
+    if (a[name] < b[name]) return -1;
+    if (a[name] > b[name]) return 1;
+  }
+  return 0;
+}
@@ -0,0 +1,127 @@
+import fs from 'fs';
+import path from 'path';
+import {SCHEMA_VERSION, migrate} from './migrations.js';
+import {scrubRecord} from './schema.js';
+
+// Append-only JSON-lines store for feedback records.
+// Each record is one line in the log file; the whole log is replayed into
+// memory on startup so reads never touch the disk. Updates append the full
+// new version of a record, and the last line for an id wins on replay.
+// Every record is scrubbed (see scrubRecord) before it is written.
+export class FeedbackStore {
+  constructor(file) {
+    this.file = file;
+    this.records = [];
+    this.positions = new Map();
+    this.lastId = 0;
+    this.load();
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.file), {recursive: true});
+    if (!fs.existsSync(this.file)) return;
+
+    let migrated = false;
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        const raw = JSON.parse(line);
+        const record = migrate(raw);
+        if (raw.schema_version !== record.schema_version) migrated = true;
+        if (!record.id) record.id = this.lastId + 1;
+        this.lastId = Math.max(this.lastId, record.id);
+        this.put(record);
+      } catch (error) {
+        // A torn write from a crash only ever affects the last line
+        console.warn(`Skipping unreadable record on line ${index + 1} of ${this.file}`);
+      }
+    });
+
+    // Persist upgraded records so migrations only run once
+    if (migrated) this.rewrite();
+  }
+
+  rewrite() {
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, this.records.map(r => JSON.stringify(r) + '\n').join(''));
+    fs.renameSync(tmp, this.file);
+  }
+
+  insert(data) {
+    const record = scrubRecord({id: ++this.lastId, schema_version: SCHEMA_VERSION, ...data});
+    fs.appendFileSync(this.file, JSON.stringify(record) + '\n');
+    this.put(record);
+    return record;
+  }
+
+  get(id) {
+    const position = this.positions.get(id);
+    return position === undefined ? null : this.records[position];
+  }
+
+  // Returns the updated record, or null when the id is unknown
+  update(id, changes) {
+    const existing = this.get(id);
+    if (!existing) return null;
+    const record = scrubRecord({...existing, ...changes, id, schema_version: SCHEMA_VERSION});
+    fs.appendFileSync(this.file, JSON.stringify(record) + '\n');
+    this.put(record);
+    return record;
+  }
+
+  put(record) {
+    const position = this.positions.get(record.id);
+    if (position === undefined) {
+      this.positions.set(record.id, this.records.length);
+      this.records.push(record);
+    } else {
+      this.records[position] = record;
+    }
+  }
+
+  // Excluded records are hidden unless `excluded` is passed explicitly
+  // (undefined matches everything)
+  find(filters = {}) {
+    const effective = 'excluded' in filters ? filters : {...filters, excluded: false};
+    return this.records.filter(record => matchesFilters(record, effective));
+  }
+
+  // sort: any record field, compared as numbers or strings; ties keep log order
+  query({filters = {}, limit = 100, offset = 0, order = 'desc', sort = 'id'} = {}) {
+    const matches = this.find(filters);
+    matches.sort((a, b) => compareField(a[sort], b[sort]) || a.id - b.id);
+    if (order === 'desc') matches.reverse();
+    return {
+      total: matches.length,
+      items: matches.slice(offset, offset + limit)
+    };
+  }
+
+  count() {
+    return this.records.length;
+  }
+}
+
+function matchesFilters(record, filters) {
+  const {since, until, q, reviewed, excluded, ...fields} = filters;
+
+  if (since && record.timestamp < since) return false;
+  if (until && record.timestamp > until) return false;
+  if (q && !(record.text || '').toLowerCase().includes(q.toLowerCase())) return false;
+  if (reviewed !== undefined && Boolean(record.review_label) !== reviewed) return false;
+  if (excluded !== undefined && Boolean(record.excluded) !== excluded) return false;
+
+  return Object.entries(fields).every(([key, value]) =>
+    value === undefined || String(record[key]) === String(value)
+  );
+}
+
+// Missing values sort before everything else
+function compareField(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+}
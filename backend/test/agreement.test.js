@@ -0,0 +1,97 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {agreementReport, itemConsensus} from '../agreement.js';
+
+// Builds a queue item from label counts, e.g. {ai: 2, human: 1}; annotators
+// are numbered in order so the same ids recur across items
+function item(id, counts, extra = {}) {
+  const annotations = [];
+  Object.entries(counts).forEach(([label, n]) => {
+    for (let i = 0; i < n; i++) {
+      const annotator = `r${annotations.length + 1}`;
+      annotations.push({annotator: {id: annotator, name: annotator}, label});
+    }
+  });
+  return {id, text_hash: `h${id}`, status: 'open', label: null, annotations, ...extra};
+}
+
+test('Fleiss kappa matches the worked example of Fleiss (1971)', () => {
+  // 10 subjects, 14 raters, 5 categories, as reproduced on Wikipedia's
+  // "Fleiss' kappa" page: P-bar = 0.378, P-bar-e = 0.213, kappa = 0.210
+  const table = [
+    [0, 0, 0, 0, 14],
+    [0, 2, 6, 4, 2],
+    [0, 0, 3, 5, 6],
+    [0, 3, 9, 2, 0],
+    [2, 2, 8, 1, 1],
+    [7, 7, 0, 0, 0],
+    [3, 2, 6, 3, 0],
+    [2, 5, 3, 2, 2],
+    [6, 5, 2, 1, 0],
+    [0, 2, 2, 3, 7]
+  ];
+  const items = table.map((row, i) =>
+    item(i + 1, Object.fromEntries(row.map((n, category) => [`c${category + 1}`, n]).filter(([, n]) => n))));
+
+  const report = agreementReport(items);
+  assert.equal(report.items, 10);
+  assert.equal(report.annotations, 140);
+  assert.equal(report.percent_agreement, 0.378);
+  assert.equal(report.fleiss_kappa, 0.21);
+});
+
+test("Cohen's kappa matches the textbook two-rater example", () => {
+  // 50 items: both yes 20, A yes/B no 5, A no/B yes 10, both no 15;
+  // p_o = 0.7, p_e = 0.5, kappa = 0.4
+  const a = {id: 'a', name: 'A'};
+  const b = {id: 'b', name: 'B'};
+  const pairs = [
+    ...Array(20).fill(['yes', 'yes']),
+    ...Array(5).fill(['yes', 'no']),
+    ...Array(10).fill(['no', 'yes']),
+    ...Array(15).fill(['no', 'no'])
+  ];
+  const items = pairs.map(([first, second], i) => ({
+    id: i + 1,
+    text_hash: `h${i}`,
+    status: 'open',
+    annotations: [{annotator: a, label: first}, {annotator: b, label: second}]
+  }));
+
+  const [pair] = agreementReport(items).pairs;
+  assert.deepEqual(pair.annotators, [a, b]);
+  assert.equal(pair.items, 50);
+  assert.equal(pair.agreement, 0.7);
+  assert.equal(pair.cohen_kappa, 0.4);
+});
+
+test('kappa is undefined when every annotator used the same label', () => {
+  const report = agreementReport([item(1, {ai: 2}), item(2, {ai: 3})]);
+  assert.equal(report.percent_agreement, 1);
+  assert.equal(report.fleiss_kappa, null);
+});
+
+test('items with fewer than two annotations are left out', () => {
+  const report = agreementReport([item(1, {ai: 1}), item(2, {})]);
+  assert.equal(report.items, 0);
+  assert.equal(report.fleiss_kappa, null);
+});
+
+test('consensus is the majority label, null on a tie', () => {
+  assert.deepEqual(itemConsensus(item(1, {ai: 2, human: 1})),
+    {consensus: 'ai', agreement: 0.667, unanimous: false, votes: {ai: 2, human: 1}});
+  assert.equal(itemConsensus(item(2, {ai: 1, human: 1})).consensus, null);
+});
+
+test('annotators who often diverge from the reference label are flagged', () => {
+  // r3 is outvoted on all ten items; resolved items use the final label
+  const items = Array.from({length: 10}, (_, i) => item(i + 1, {ai: 2, human: 1}));
+  items.push(item(11, {ai: 1, human: 2}, {status: 'resolved', label: 'ai'}));
+
+  const annotators = agreementReport(items, {threshold: 0.6, minItems: 10}).annotators;
+  const byId = Object.fromEntries(annotators.map(a => [a.id, a]));
+  assert.equal(byId.r1.agreement_with_consensus, 1);
+  assert.equal(byId.r1.flagged, false);
+  assert.equal(byId.r3.agreement_with_consensus, 0);
+  assert.equal(byId.r3.flagged, true);
+});
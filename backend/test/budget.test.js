@@ -0,0 +1,42 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {AnalysisBudget, prioritize} from '../../extension/lib/budget.js';
+
+const sentences = [
+  {start: 0, end: 40},
+  {start: 41, end: 90},
+  {start: 91, end: 150},
+  {start: 151, end: 200}
+];
+
+test('visible sentences come first, each group in page order', () => {
+  assert.deepEqual(prioritize(sentences, [{start: 95, end: 180}]), [2, 3, 0, 1]);
+  assert.deepEqual(prioritize(sentences, [{start: 160, end: 170}, {start: 10, end: 20}]), [0, 3, 1, 2]);
+});
+
+test('without visible ranges the page order is kept', () => {
+  assert.deepEqual(prioritize(sentences), [0, 1, 2, 3]);
+  // Touching a range at its edge is not overlapping it
+  assert.deepEqual(prioritize(sentences, [{start: 40, end: 41}]), [0, 1, 2, 3]);
+});
+
+test('the sentence limit grants what is left, then nothing', () => {
+  const budget = new AnalysisBudget({maxSentences: 50, maxSeconds: 60}, () => 0);
+  assert.equal(budget.take(32), 32);
+  assert.equal(budget.reason, null);
+  assert.equal(budget.take(32), 18);
+  assert.equal(budget.reason, 'sentences');
+  assert.equal(budget.take(32), 0);
+  assert.equal(budget.used, 50);
+});
+
+test('no batch starts once the time limit has passed', () => {
+  let clock = 1000;
+  const budget = new AnalysisBudget({maxSentences: 500, maxSeconds: 2}, () => clock);
+  assert.equal(budget.take(32), 32);
+
+  clock = 3000;
+  assert.equal(budget.take(32), 0);
+  assert.equal(budget.reason, 'time');
+  assert.equal(budget.used, 32);
+});
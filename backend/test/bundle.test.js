@@ -0,0 +1,62 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {findBundledModel, sha256Hex, verifyFiles} from '../../extension/lib/bundle.js';
+
+const encoder = new TextEncoder();
+
+// fetch stand-in serving the given path -> contents under base
+function bundleFetch(base, contents) {
+  return async url => {
+    const path = url.slice(base.length);
+    if (!(path in contents)) return {ok: false, status: 404};
+    return {ok: true, arrayBuffer: async () => encoder.encode(contents[path]).buffer};
+  };
+}
+
+const base = 'chrome-extension://id/models/Hello-SimpleAI/chatgpt-detector-roberta/';
+const contents = {'config.json': '{"model_type":"roberta"}', 'onnx/model_quantized.onnx': 'weights'};
+
+async function manifestFiles() {
+  const files = {};
+  for (const [path, text] of Object.entries(contents)) {
+    files[path] = await sha256Hex(encoder.encode(text));
+  }
+  return files;
+}
+
+test('files matching the manifest pass and report progress', async () => {
+  const files = await manifestFiles();
+  const progress = [];
+  await verifyFiles(base, files, {
+    fetchImpl: bundleFetch(base, contents),
+    onFile: (path, done, total) => progress.push(`${path} ${done}/${total}`)
+  });
+  assert.deepEqual(progress, ['config.json 1/2', 'onnx/model_quantized.onnx 2/2']);
+});
+
+test('a modified file fails its checksum', async () => {
+  const files = await manifestFiles();
+  const fetchImpl = bundleFetch(base, {...contents, 'onnx/model_quantized.onnx': 'tampered'});
+  await assert.rejects(verifyFiles(base, files, {fetchImpl}), /onnx\/model_quantized\.onnx failed its checksum/);
+});
+
+test('a missing file or an empty file list fails', async () => {
+  const files = await manifestFiles();
+  const fetchImpl = bundleFetch(base, {'config.json': contents['config.json']});
+  await assert.rejects(verifyFiles(base, files, {fetchImpl}), /onnx\/model_quantized\.onnx is missing from the bundle/);
+
+  const unreachable = async () => { throw new TypeError('Failed to fetch'); };
+  await assert.rejects(verifyFiles(base, files, {fetchImpl: unreachable}), /config\.json is missing from the bundle/);
+
+  await assert.rejects(verifyFiles(base, {}, {fetchImpl}), /No files listed/);
+});
+
+test('the bundled entry is found by the profile model id', () => {
+  const entry = {id: 'chatgpt-detector-roberta', model: 'Hello-SimpleAI/chatgpt-detector-roberta', files: {}};
+  const manifest = {models: [entry]};
+
+  assert.equal(findBundledModel(manifest, {model: 'Hello-SimpleAI/chatgpt-detector-roberta'}), entry);
+  assert.equal(findBundledModel(manifest, {model: 'roberta-base-openai-detector'}), null);
+  assert.equal(findBundledModel(null, {model: entry.model}), null);
+  assert.equal(findBundledModel({}, {model: entry.model}), null);
+});
@@ -0,0 +1,64 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {combineScores, createHttpDetector} from '../../extension/lib/detectors.js';
+
+// fetch stand-in that records request bodies and scores every sentence 0.9
+function recordingFetch(requests) {
+  return async (url, {body}) => {
+    requests.push(JSON.parse(body));
+    const {sentences} = JSON.parse(body);
+    return {ok: true, json: async () => ({scores: sentences.map(() => ({probability: 0.9}))})};
+  };
+}
+
+test('the HTTP detector scrubs personal data before sending', async () => {
+  const requests = [];
+  const detector = createHttpDetector({url: 'http://detector.test', fetchImpl: recordingFetch(requests)});
+  const entries = await detector.score([
+    {text: 'Write to jane@example.com or call 555-123-4567.', language: 'en'},
+    {text: 'Nothing personal here.', language: 'en'}
+  ]);
+
+  assert.deepEqual(requests[0].sentences, [
+    {text: 'Write to [EMAIL] or call [PHONE].', language: 'en'},
+    {text: 'Nothing personal here.', language: 'en'}
+  ]);
+  assert.deepEqual(entries, [{probability: 0.9, label: null}, {probability: 0.9, label: null}]);
+});
+
+test('redaction can be turned off for a trusted detector', async () => {
+  const requests = [];
+  const detector = createHttpDetector({url: 'http://detector.test', redact: false, fetchImpl: recordingFetch(requests)});
+  await detector.score([{text: 'Write to jane@example.com.', language: 'en'}]);
+  assert.equal(requests[0].sentences[0].text, 'Write to jane@example.com.');
+});
+
+test('the HTTP detector backs off for the Retry-After of a 429', async () => {
+  let calls = 0;
+  let clock = 0;
+  const fetchImpl = async () => {
+    calls++;
+    return {ok: false, status: 429, headers: new Headers({'Retry-After': '30'})};
+  };
+  const detector = createHttpDetector({url: 'http://detector.test', fetchImpl, now: () => clock});
+  const sentences = [{text: 'Some sentence.', language: 'en'}];
+
+  await assert.rejects(detector.score(sentences), /returned 429/);
+  clock = 29 * 1000;
+  await assert.rejects(detector.score(sentences), /rate limited for another 1s/);
+  assert.equal(calls, 1);
+
+  clock = 30 * 1000;
+  await assert.rejects(detector.score(sentences), /returned 429/);
+  assert.equal(calls, 2);
+});
+
+test('the ensemble is the weighted mean of the detectors that scored', () => {
+  const combined = combineScores([
+    {id: 'heuristic', entry: {probability: 0.2}},
+    {id: 'model', entry: {probability: 0.8}},
+    {id: 'http', entry: null}
+  ], {heuristic: 1, model: 0.5, http: 1});
+  assert.equal(combined.probability.toFixed(3), '0.400');
+  assert.deepEqual(combined.scores, {heuristic: 0.2, model: 0.8});
+});
@@ -0,0 +1,57 @@
+import {test, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {loadFixtureModel} from '../evaluate.js';
+import {modelScoreFor} from '../../extension/lib/models.js';
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/eval/model.json');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-model-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, {recursive: true, force: true});
+});
+
+function writeFixture(fixture) {
+  const file = path.join(dir, 'model.json');
+  fs.writeFileSync(file, JSON.stringify(fixture));
+  return file;
+}
+
+const prediction = {text: 'It is important to note that these findings matter.', label: 'Human', score: 0.8};
+
+test('the bundled fixture reads ChatGPT as AI and Human as human-written', () => {
+  const model = loadFixtureModel(FIXTURE);
+  const {predictions} = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+  assert.deepEqual(model.profile.labels, {ai: 'ChatGPT', human: 'Human'});
+
+  const ai = predictions.find(p => p.label === 'ChatGPT');
+  const human = predictions.find(p => p.label === 'Human');
+  assert.equal(modelScoreFor(model.predict(ai.text), model.profile), ai.score);
+  assert.equal(modelScoreFor(model.predict(human.text), model.profile).toFixed(3), (1 - human.score).toFixed(3));
+  assert.equal(model.predict('A sentence the fixture never saw.'), null);
+});
+
+test('older fixtures mapping labels to meanings still load', () => {
+  const model = loadFixtureModel(writeFixture({
+    id: 'legacy',
+    labels: {ChatGPT: 'ai', Human: 'human'},
+    predictions: [prediction]
+  }));
+  assert.deepEqual(model.profile.labels, {ai: 'ChatGPT', human: 'Human'});
+  assert.equal(modelScoreFor(model.predict(prediction.text), model.profile).toFixed(3), '0.200');
+});
+
+test('a fixture whose labels are not a detector\'s is refused', () => {
+  assert.throws(() => loadFixtureModel(writeFixture({profile: 'sst2-sentiment', predictions: [prediction]})),
+    /profile sst2-sentiment has no AI and human labels/);
+  assert.throws(() => loadFixtureModel(writeFixture({profile: {id: 'x'}, predictions: []})), /profile\./);
+  assert.throws(() => loadFixtureModel(writeFixture({predictions: []})), /need a profile and a predictions array/);
+});
@@ -0,0 +1,80 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {CLIENT_TARGET, InferenceClient, runJob} from '../../extension/lib/inference-jobs.js';
+
+// Client whose sent messages are collected instead of delivered
+function recordingClient() {
+  const sent = [];
+  const client = new InferenceClient(message => { sent.push(message); });
+  return {client, sent};
+}
+
+test('a job resolves with the host result and reports progress', async () => {
+  const {client, sent} = recordingClient();
+  const progress = [];
+  const job = client.run('classify', {modelId: 'm1', texts: ['a']}, {onProgress: p => progress.push(p)});
+  await Promise.resolve();
+
+  const {jobId} = sent[0];
+  assert.equal(client.handleMessage({target: CLIENT_TARGET, type: 'progress', jobId, progress: {done: 1, total: 1}}), true);
+  client.handleMessage({target: CLIENT_TARGET, type: 'done', jobId, result: {outputs: []}});
+
+  assert.deepEqual(await job, {outputs: []});
+  assert.deepEqual(progress, [{done: 1, total: 1}]);
+});
+
+test('a job the host does not finish in time is rejected', async () => {
+  const {client, sent} = recordingClient();
+  await assert.rejects(client.run('load', {modelId: 'm1'}, {timeout: 10}), /load job timed out after 10ms/);
+
+  // A late reply is ignored
+  client.handleMessage({target: CLIENT_TARGET, type: 'done', jobId: sent[0].jobId, result: {}});
+  assert.equal(client.jobs.size, 0);
+});
+
+test('host errors, send failures and unknown kinds reject the job', async () => {
+  const {client, sent} = recordingClient();
+  const job = client.run('classify', {});
+  await Promise.resolve();
+  client.handleMessage({target: CLIENT_TARGET, type: 'error', jobId: sent[0].jobId, error: 'Model m1 is not loaded'});
+  await assert.rejects(job, /Model m1 is not loaded/);
+
+  const unreachable = new InferenceClient(() => Promise.reject(new Error('No receiving end')));
+  await assert.rejects(unreachable.run('load', {}), /No receiving end/);
+
+  await assert.rejects(client.run('train', {}), /Unknown job kind train/);
+});
+
+test('rejectAll fails every pending job', async () => {
+  const {client} = recordingClient();
+  const jobs = [client.run('load', {}, {timeout: 1000}), client.run('classify', {})];
+  client.rejectAll(new Error('The offscreen document closed'));
+
+  for (const job of jobs) {
+    await assert.rejects(job, /offscreen document closed/);
+  }
+  assert.equal(client.jobs.size, 0);
+});
+
+test('replies for other clients are ignored', () => {
+  const {client} = recordingClient();
+  assert.equal(client.handleMessage({target: 'offscreen', type: 'job'}), false);
+  assert.equal(client.handleMessage({target: CLIENT_TARGET, type: 'done', jobId: 'other-1'}), true);
+});
+
+test('the host posts progress and the result or the error', async () => {
+  const posted = [];
+  const handlers = {
+    async load({modelId}, progress) {
+      progress({file: 'model.onnx', progress: 100});
+      return {modelId, warm: false};
+    }
+  };
+
+  await runJob({jobId: 'j-1', kind: 'load', payload: {modelId: 'm1'}}, handlers, m => posted.push(m));
+  await runJob({jobId: 'j-2', kind: 'classify', payload: {}}, handlers, m => posted.push(m));
+
+  assert.deepEqual(posted.map(({type, jobId}) => `${jobId} ${type}`), ['j-1 progress', 'j-1 done', 'j-2 error']);
+  assert.deepEqual(posted[1].result, {modelId: 'm1', warm: false});
+  assert.equal(posted[2].error, 'Unknown job kind classify');
+});
@@ -0,0 +1,125 @@
+import {test, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {LabelQueue, isUncertain} from '../queue.js';
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'label-queue-'));
+  file = path.join(dir, 'label-queue.jsonl');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, {recursive: true, force: true});
+});
+
+function lines() {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8').trim().split('\n').filter(Boolean) : [];
+}
+
+function sighting(hash, overrides = {}) {
+  return {text_hash: hash, text: `Sentence ${hash}.`, probability: 0.55, level: 'medium', source: 'analyze', ...overrides};
+}
+
+const alice = {id: 'a', name: 'Alice'};
+const bob = {id: 'b', name: 'Bob'};
+
+test('isUncertain covers the range around the decision boundary', () => {
+  assert.equal(isUncertain(0.4), true);
+  assert.equal(isUncertain(0.7), true);
+  assert.equal(isUncertain(0.39), false);
+  assert.equal(isUncertain(0.71), false);
+  assert.equal(isUncertain(null), false);
+});
+
+test('only uncertain or disputed sentences with text are queued', () => {
+  const queue = new LabelQueue(file);
+  assert.equal(queue.offer(sighting('confident', {probability: 0.95})), null);
+  assert.equal(queue.offer(sighting('hash-only', {text: null})), null);
+  assert.ok(queue.offer(sighting('disputed', {probability: 0.95, disputed: true, source: 'feedback'})));
+  assert.ok(queue.offer(sighting('uncertain')));
+  assert.deepEqual(queue.counts(), {open: 2, disputed: 0, resolved: 0});
+});
+
+test('repeat sightings update one item and are written once per flush', () => {
+  const queue = new LabelQueue(file);
+  for (let i = 0; i < 5; i++) queue.offer(sighting('x'));
+  queue.offer(sighting('x', {source: 'feedback', disputed: true}));
+
+  assert.equal(queue.all().length, 1);
+  assert.deepEqual(queue.all()[0].sources, {analyze: 5, feedback: 1});
+  assert.equal(queue.all()[0].disputes, 1);
+  assert.deepEqual(lines(), []);
+
+  queue.flush();
+  assert.equal(lines().length, 1);
+  queue.flush();
+  assert.equal(lines().length, 1);
+});
+
+test('a reloaded queue sees the flushed state', () => {
+  const queue = new LabelQueue(file);
+  queue.offer(sighting('x'));
+  queue.offer(sighting('x'));
+  queue.flush();
+
+  const reloaded = new LabelQueue(file);
+  assert.deepEqual(reloaded.all()[0].sources, {analyze: 2});
+});
+
+test('no new items are opened beyond maxOpen', () => {
+  const queue = new LabelQueue(file, {maxOpen: 2});
+  queue.offer(sighting('a'));
+  queue.offer(sighting('b'));
+  assert.equal(queue.offer(sighting('c')), null);
+  // Existing items still collect sightings
+  assert.deepEqual(queue.offer(sighting('a')).sources, {analyze: 2});
+});
+
+test('priority favours the middle of the range, disputes and repeat sightings', () => {
+  const queue = new LabelQueue(file);
+  assert.equal(queue.offer(sighting('middle')).priority, 1);
+  assert.equal(queue.offer(sighting('edge', {probability: 0.4})).priority, 0);
+  assert.equal(queue.offer(sighting('edge', {source: 'feedback', disputed: true})).priority, 0.230);
+});
+
+test('unanimous annotations resolve an item, split ones dispute it', () => {
+  const queue = new LabelQueue(file);
+  const agreed = queue.offer(sighting('agreed'));
+  const split = queue.offer(sighting('split'));
+
+  queue.annotate(agreed.id, alice, 'ai');
+  assert.equal(queue.annotate(agreed.id, bob, 'ai').status, 'resolved');
+  assert.equal(queue.get(agreed.id).label, 'ai');
+
+  queue.annotate(split.id, alice, 'ai');
+  assert.equal(queue.annotate(split.id, bob, 'human').status, 'disputed');
+  assert.equal(queue.resolve(split.id, 'human', {id: 'admin'}).label, 'human');
+});
+
+test('annotations are written at once and win over pending sightings', () => {
+  const queue = new LabelQueue(file);
+  const item = queue.offer(sighting('x'));
+  queue.annotate(item.id, alice, 'ai');
+  assert.equal(lines().length, 1);
+
+  queue.flush();
+  assert.equal(lines().length, 1);
+  assert.equal(new LabelQueue(file).get(item.id).annotations.length, 1);
+});
+
+test('next() leases items so parallel annotators get different ones', () => {
+  const queue = new LabelQueue(file, {required: 1});
+  queue.offer(sighting('first'));
+  queue.offer(sighting('second', {probability: 0.45}));
+
+  const forAlice = queue.next('a');
+  const forBob = queue.next('b');
+  assert.equal(forAlice.text_hash, 'first');
+  assert.equal(forBob.text_hash, 'second');
+  assert.equal(queue.next('c'), null);
+});
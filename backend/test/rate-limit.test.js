@@ -0,0 +1,93 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {RateLimiter} from '../rate-limit.js';
+import {rateLimit} from '../auth.js';
+
+function clock(start = 0) {
+  const now = () => now.ms;
+  now.ms = start;
+  return now;
+}
+
+test('a full bucket allows a burst of `limit` requests, then refuses', () => {
+  const limiter = new RateLimiter({windowMs: 60000, now: clock()});
+  for (let i = 0; i < 60; i++) {
+    assert.equal(limiter.take('a', 60).allowed, true);
+  }
+  assert.deepEqual(limiter.take('a', 60), {allowed: false, remaining: 0, retryAfter: 1});
+});
+
+test('tokens refill continuously at limit per window', () => {
+  const now = clock();
+  const limiter = new RateLimiter({windowMs: 60000, now});
+  for (let i = 0; i < 60; i++) limiter.take('a', 60);
+
+  now.ms += 999;
+  assert.equal(limiter.take('a', 60).allowed, false);
+  now.ms += 1;
+  assert.deepEqual(limiter.take('a', 60), {allowed: true, remaining: 0, retryAfter: 0});
+
+  // Half a window refills half the bucket
+  now.ms += 30000;
+  assert.equal(limiter.take('a', 60).remaining, 29);
+});
+
+test('a bucket never refills beyond its limit', () => {
+  const now = clock();
+  const limiter = new RateLimiter({windowMs: 60000, now});
+  limiter.take('a', 10);
+  now.ms += 10 * 60000;
+  assert.equal(limiter.take('a', 10).remaining, 9);
+});
+
+test('retryAfter is the time until one token is back, in seconds', () => {
+  const limiter = new RateLimiter({windowMs: 60000, now: clock()});
+  limiter.take('a', 2);
+  limiter.take('a', 2);
+  assert.equal(limiter.take('a', 2).retryAfter, 30);
+});
+
+test('sweep forgets only buckets idle for a whole window', () => {
+  const now = clock();
+  const limiter = new RateLimiter({windowMs: 60000, now});
+  limiter.take('idle', 5);
+  now.ms += 30000;
+  limiter.take('busy', 5);
+  now.ms += 30001;
+  limiter.sweep();
+  assert.deepEqual([...limiter.buckets.keys()], ['busy']);
+});
+
+// Runs the middleware once and reports the status it ended with
+function request(middleware, req) {
+  const headers = {};
+  let status = 200;
+  const res = {
+    set: (name, value) => { headers[name] = value; },
+    status: code => {
+      status = code;
+      return {json: () => {}};
+    }
+  };
+  middleware(req, res, () => {});
+  return {status, limit: headers['X-RateLimit-Limit']};
+}
+
+test('rateLimit holds keyed requests to the key limit, not the IP limit', () => {
+  const middleware = rateLimit({perKey: 120, perIp: 60, windowMs: 60000});
+  const keyed = {ip: '10.0.0.1', apiKey: {id: 'k1'}};
+  for (let i = 0; i < 120; i++) {
+    assert.deepEqual(request(middleware, keyed), {status: 200, limit: '120'});
+  }
+  assert.equal(request(middleware, keyed).status, 429);
+
+  // Anonymous requests from the same address have their own budget
+  assert.deepEqual(request(middleware, {ip: '10.0.0.1'}), {status: 200, limit: '60'});
+});
+
+test('rateLimit honours a per-key override', () => {
+  const middleware = rateLimit({perKey: 120, perIp: 60, windowMs: 60000});
+  const keyed = {ip: '10.0.0.2', apiKey: {id: 'k2', rate_limit: 3}};
+  for (let i = 0; i < 3; i++) request(middleware, keyed);
+  assert.deepEqual(request(middleware, keyed), {status: 429, limit: '3'});
+});
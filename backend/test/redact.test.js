@@ -0,0 +1,52 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {redactPII} from '../../extension/lib/redact.js';
+import {scrubRecord} from '../schema.js';
+
+test('dates and runs of years are not taken for phone numbers', () => {
+  for (const text of [
+    'We met on 12.05.2023 in Berlin.',
+    'Sales grew in 1990 2000 2010 and beyond.',
+    'The report is dated 2023-05-12.',
+    'Submitted 12/05/2023 and 3-4-2021.'
+  ]) {
+    assert.deepEqual(redactPII(text), {text, redactions: {}});
+  }
+});
+
+test('phone-shaped numbers are redacted', () => {
+  assert.deepEqual(redactPII('Call 555-123-4567 or (555) 123-4567.'), {
+    text: 'Call [PHONE] or [PHONE].',
+    redactions: {phone: 2}
+  });
+  assert.equal(redactPII('Ring +49 30 1234567 today').text, 'Ring [PHONE] today');
+  assert.equal(redactPII('Ring +15551234567 today').text, 'Ring [PHONE] today');
+  assert.equal(redactPII('Office: 030 1234567').text, 'Office: [PHONE]');
+});
+
+test('a bare digit run needs a leading + to count as a phone number', () => {
+  assert.equal(redactPII('Order 5551234567 shipped').text, 'Order 5551234567 shipped');
+});
+
+test('emails, URLs, card numbers and names are redacted', () => {
+  const {text, redactions} = redactPII(
+    'Dr. Jane Smith (jane@example.com, https://example.com/me) paid with 4111 1111 1111 1111.'
+  );
+  assert.equal(text, 'Dr. [NAME] ([EMAIL], [URL]) paid with [CARD].');
+  assert.deepEqual(redactions, {email: 1, url: 1, card: 1, name: 1});
+});
+
+test('scrubRecord redacts the text and keeps only the hostname', () => {
+  const record = scrubRecord({text: 'Mail bob@example.com', domain: 'https://u:p@news.example.org/a?b=1'});
+  assert.deepEqual(record, {text: 'Mail [EMAIL]', domain: 'news.example.org', redactions: {email: 1}});
+});
+
+test('scrubbing a scrubbed record changes nothing', () => {
+  const once = scrubRecord({text: 'Call 555-123-4567', domain: 'example.org'});
+  assert.deepEqual(scrubRecord(once), once);
+});
+
+test('hash-only records have no text to redact', () => {
+  assert.deepEqual(scrubRecord({text: null, text_hash: 'abc', domain: null}),
+    {text: null, text_hash: 'abc', domain: null, redactions: null});
+});
@@ -0,0 +1,54 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {ResultCache, hashSentence} from '../../extension/lib/result-cache.js';
+
+const versions = {rulesetVersion: '1.2.0', modelVersion: 'chatgpt-roberta-v1/chatgpt-detector-roberta', detectors: '{"heuristic":1,"model":0.25}'};
+
+test('sentences hash the same whatever their whitespace', async () => {
+  assert.equal(await hashSentence('  One   sentence.\n'), await hashSentence('One sentence.'));
+  assert.notEqual(await hashSentence('One sentence.'), await hashSentence('One sentence!'));
+});
+
+test('a hit needs the same ruleset, model and detector setup', () => {
+  for (const changed of [
+    {rulesetVersion: '1.3.0'},
+    {modelVersion: 'chatgpt-roberta-v2/chatgpt-detector-roberta'},
+    {detectors: '{"heuristic":1,"model":0.5}'}
+  ]) {
+    const cache = new ResultCache();
+    cache.set('k', {probability: 0.8}, versions);
+    assert.equal(cache.get('k', {...versions, ...changed}), null);
+    // The stale entry is gone, not just hidden
+    assert.equal(cache.get('k', versions), null);
+    assert.equal(cache.stats().stale, 1);
+  }
+
+  const cache = new ResultCache();
+  cache.set('k', {probability: 0.8}, versions);
+  assert.deepEqual(cache.get('k', {...versions}), {probability: 0.8});
+});
+
+test('the detector setup is optional', () => {
+  const cache = new ResultCache();
+  cache.set('k', {probability: 0.3}, {rulesetVersion: '1.2.0', modelVersion: 'heuristic'});
+  assert.deepEqual(cache.get('k', {rulesetVersion: ['1.1.0', '1.2.0'], modelVersion: 'heuristic'}), {probability: 0.3});
+});
+
+test('entries survive a round trip through JSON', () => {
+  const cache = new ResultCache();
+  cache.set('k', {probability: 0.8}, versions);
+  const restored = new ResultCache();
+  restored.load(JSON.parse(JSON.stringify(cache)));
+  assert.deepEqual(restored.get('k', versions), {probability: 0.8});
+});
+
+test('the least recently used entry is evicted first', () => {
+  const cache = new ResultCache({maxEntries: 2});
+  cache.set('a', 1, versions);
+  cache.set('b', 2, versions);
+  cache.get('a', versions);
+  cache.set('c', 3, versions);
+  assert.equal(cache.get('b', versions), null);
+  assert.equal(cache.get('a', versions), 1);
+  assert.equal(cache.stats().evictions, 1);
+});
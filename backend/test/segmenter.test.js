@@ -0,0 +1,67 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {segmentSentences} from '../../extension/lib/segmenter.js';
+
+function texts(text, options) {
+  return segmentSentences(text, options).map(sentence => sentence.text);
+}
+
+// Runs fn with Intl.Segmenter and again with the punctuation scanner that
+// stands in where it is unavailable
+function bothSegmenters(name, fn) {
+  test(`${name} (Intl.Segmenter)`, fn);
+  test(`${name} (fallback)`, () => {
+    const {Segmenter} = Intl;
+    delete Intl.Segmenter;
+    try {
+      fn();
+    } finally {
+      Intl.Segmenter = Segmenter;
+    }
+  });
+}
+
+bothSegmenters('abbreviations and initials do not end a sentence', () => {
+  assert.deepEqual(texts('Dr. Smith arrived at 5 p.m. on Jan. 3. He left early.'),
+    ['Dr. Smith arrived at 5 p.m. on Jan. 3.', 'He left early.']);
+  assert.deepEqual(texts('We met Mr. J. R. Tolkien, e.g. at the pub. It was fun.'),
+    ['We met Mr. J. R. Tolkien, e.g. at the pub.', 'It was fun.']);
+  assert.deepEqual(texts('Z.B. gibt es viele. Das ist gut.', {locale: 'de'}),
+    ['Z.B. gibt es viele.', 'Das ist gut.']);
+});
+
+bothSegmenters('decimals and quoted stops stay inside the sentence', () => {
+  assert.deepEqual(texts('The price rose 3.5 percent. Analysts were surprised.'),
+    ['The price rose 3.5 percent.', 'Analysts were surprised.']);
+  assert.deepEqual(texts('He said "Stop." then left.'), ['He said "Stop." then left.']);
+});
+
+bothSegmenters('CJK terminators split without following spaces', () => {
+  assert.deepEqual(texts('这是第一句。这是第二句！这是第三句？', {locale: 'zh'}),
+    ['这是第一句。', '这是第二句！', '这是第三句？']);
+  assert.deepEqual(texts('今日は晴れです。明日は雨でしょう。', {locale: 'ja'}),
+    ['今日は晴れです。', '明日は雨でしょう。']);
+});
+
+bothSegmenters('line breaks end a sentence and number paragraphs', () => {
+  const text = 'Heading\nThe body text. Another one\n\n  \nLast';
+  const sentences = segmentSentences(text);
+  assert.deepEqual(sentences.map(({text: t, paragraph}) => [t, paragraph]),
+    [['Heading', 0], ['The body text.', 1], ['Another one', 1], ['Last', 2]]);
+});
+
+bothSegmenters('offsets slice the original text', () => {
+  const text = '  Dr. Who?  Yes.\n这是第一句。这是第二句！';
+  const sentences = segmentSentences(text);
+  assert.equal(sentences.length, 4);
+  sentences.forEach(({text: t, start, end}) => assert.equal(text.slice(start, end), t));
+});
+
+test('blank text has no sentences', () => {
+  assert.deepEqual(segmentSentences(''), []);
+  assert.deepEqual(segmentSentences(' \n\t\n'), []);
+});
+
+test('a malformed locale falls back to the default one', () => {
+  assert.deepEqual(texts('One. Two.', {locale: 'not_a_locale!'}), ['One.', 'Two.']);
+});
@@ -0,0 +1,63 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {loadRuleset} from '../analyze.js';
+import {loadCorpus, loadFixtureModel, scoreCorpus} from '../evaluate.js';
+import {calibrateThresholds, MIN_SAMPLES} from '../thresholds.js';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const {examples} = loadCorpus(path.join(root, 'fixtures/eval/corpus.jsonl'));
+const ruleset = loadRuleset(path.join(root, '../extension/rules/en.json'));
+const model = loadFixtureModel(path.join(root, 'fixtures/eval/model.json'));
+
+// The fixture corpus scored by rules plus the fixture model, as reviewer
+// labels. 12 AI sentences score 0.322-0.598, 12 human ones 0.250-0.400.
+function reviewed(copies) {
+  const {scored} = scoreCorpus(examples, {ruleset, model});
+  const records = scored.map(({label, probability}) => ({probability, review_label: label}));
+  return Array(copies).fill(records).flat();
+}
+
+test('calibration needs MIN_SAMPLES labeled records', () => {
+  assert.ok(reviewed(1).length < MIN_SAMPLES);
+  assert.equal(calibrateThresholds(reviewed(1)), null);
+});
+
+test('agreement strategy on the fixture set', () => {
+  // Each sentence reviewed three times, so there are enough samples.
+  // No human sentence scores above 0.4, so high is 0.4 and catches 10 of
+  // the 12 AI ones. Medium 0.308 flags every AI sentence and 2 human ones;
+  // 0.4 is as accurate, and the more sensitive cut-off wins the tie.
+  const calibration = calibrateThresholds(reviewed(3));
+  assert.deepEqual(calibration, {
+    high: 0.4,
+    medium: 0.308,
+    strategy: 'agreement',
+    target_fpr: 0.05,
+    medium_fpr: null,
+    samples: 72,
+    metrics: {
+      high: {accuracy: 0.917, fpr: 0, tpr: 0.833},
+      medium: {accuracy: 0.917, fpr: 0.167, tpr: 1}
+    }
+  });
+});
+
+test('fpr strategy on the fixture set', () => {
+  // Below 0.308 a third human sentence is flagged (FPR 0.25 > 0.2)
+  const calibration = calibrateThresholds(reviewed(3), {strategy: 'fpr', mediumFpr: 0.2});
+  assert.equal(calibration.high, 0.4);
+  assert.equal(calibration.medium, 0.308);
+  assert.deepEqual(calibration.metrics.medium, {accuracy: 0.917, fpr: 0.167, tpr: 1});
+});
+
+test('labels are derived from user verdicts when there is no review', () => {
+  // Agreeing with a high flag means AI, disagreeing means human
+  const records = reviewed(3).map(({probability, review_label}) => ({
+    probability,
+    level: 'high',
+    feedback: review_label === 'ai' ? 'agree' : 'disagree'
+  }));
+  assert.deepEqual(calibrateThresholds(records), calibrateThresholds(reviewed(3)));
+});
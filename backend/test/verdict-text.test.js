@@ -0,0 +1,25 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {describeLanguages, describeNoVerdict, describePartial} from '../../extension/lib/verdict-text.js';
+
+test('a partial verdict names why the analysis ended early', () => {
+  assert.equal(describePartial({reason: 'time', analyzed: 300, skipped: 120}),
+    'Partial: 120 sentences not analyzed (time limit)');
+  assert.equal(describePartial({reason: 'sentences', analyzed: 500, skipped: 1}),
+    'Partial: 1 sentence not analyzed (sentence limit)');
+  assert.equal(describePartial({reason: 'stopped', analyzed: 64, skipped: 40}),
+    'Partial: 40 sentences not analyzed (stopped)');
+});
+
+test('an analysis stopped before any result says so instead of blaming the text', () => {
+  assert.deepEqual(describeNoVerdict({reason: 'stopped', analyzed: 0, skipped: 80}),
+    {message: 'Analysis stopped before any sentence was scored', type: 'info'});
+  assert.deepEqual(describeNoVerdict(null), {message: 'No sentences long enough to analyze', type: 'warning'});
+});
+
+test('languages are listed by share, largest first', () => {
+  // Language names follow the browser locale
+  Object.defineProperty(globalThis, 'navigator', {value: {language: 'en'}, configurable: true});
+  assert.equal(describeLanguages({de: 0.2, en: 0.8}), 'English 80% · German 20%');
+  assert.equal(describeLanguages({es: 3, und: 12}, count => `${count}`), 'und 12 · Spanish 3');
+});
@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import {DEFAULT_THRESHOLDS} from '../extension/lib/scoring.js';
+import {feedbackLabel} from './labels.js';
+
+// Feedback-driven calibration of the high/medium cut-offs.
+//
+// Strategies:
+//   agreement - medium maximizes agreement with user labels,
+//               high keeps the false-positive rate at or below target_fpr
+//   fpr       - medium and high are set by medium_fpr and target_fpr
+//
+// A sentence is treated as flagged when probability > threshold, matching
+// probabilityToLevel in the shared scorer.
+
+export const STRATEGIES = ['agreement', 'fpr'];
+export const MIN_SAMPLES = 50;
+
+const DEFAULT_OPTIONS = {strategy: 'agreement', targetFpr: 0.05, mediumFpr: 0.2};
+
+// Persists the current calibration; each change bumps the version so clients
+// can tell when their cached copy is stale.
+export class ThresholdStore {
+  constructor(file) {
+    this.file = file;
+    this.current = {
+      version: 0,
+      ...DEFAULT_THRESHOLDS,
+      source: 'default',
+      strategy: null,
+      samples: 0,
+      computed_at: null
+    };
+    if (fs.existsSync(file)) {
+      this.current = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  }
+
+  update(calibration) {
+    const changed = calibration.high !== this.current.high ||
+      calibration.medium !== this.current.medium;
+
+    this.current = {
+      version: changed ? this.current.version + 1 : this.current.version,
+      ...calibration,
+      source: 'calibrated',
+      computed_at: new Date().toISOString()
+    };
+
+    fs.mkdirSync(path.dirname(this.file), {recursive: true});
+    fs.writeFileSync(this.file, JSON.stringify(this.current, null, 2));
+    return {thresholds: this.current, changed};
+  }
+}
+
+// Returns {high, medium, strategy, samples, metrics} or null when there is
+// not enough labeled feedback to calibrate.
+export function calibrateThresholds(records, options = {}) {
+  const strategy = options.strategy ?? DEFAULT_OPTIONS.strategy;
+  const targetFpr = options.targetFpr ?? DEFAULT_OPTIONS.targetFpr;
+  const mediumFpr = options.mediumFpr ?? DEFAULT_OPTIONS.mediumFpr;
+
+  const samples = records
+    .map(record => ({probability: record.probability, label: feedbackLabel(record)}))
+    .filter(s => (s.label === 'ai' || s.label === 'human') && typeof s.probability === 'number');
+
+  const positives = samples.filter(s => s.label === 'ai').length;
+  const negatives = samples.length - positives;
+  if (samples.length < MIN_SAMPLES || positives === 0 || negatives === 0) return null;
+
+  // Candidate cut-offs: 0 plus every observed probability
+  const candidates = [...new Set([0, ...samples.map(s => s.probability)])]
+    .sort((a, b) => a - b)
+    .map(threshold => confusionAt(samples, threshold));
+
+  const high = lowestWithFpr(candidates, targetFpr);
+  const medium = strategy === 'fpr'
+    ? lowestWithFpr(candidates, mediumFpr)
+    : candidates.reduce((best, c) => c.accuracy > best.accuracy ? c : best);
+
+  return {
+    high: round(high.threshold),
+    medium: round(Math.min(medium.threshold, high.threshold)),
+    strategy,
+    target_fpr: targetFpr,
+    medium_fpr: strategy === 'fpr' ? mediumFpr : null,
+    samples: samples.length,
+    metrics: {
+      high: summary(high),
+      medium: summary(medium)
+    }
+  };
+}
+
+function confusionAt(samples, threshold) {
+  let tp = 0, fp = 0, tn = 0, fn = 0;
+  samples.forEach(({probability, label}) => {
+    const flagged = probability > threshold;
+    if (flagged && label === 'ai') tp++;
+    else if (flagged) fp++;
+    else if (label === 'human') tn++;
+    else fn++;
+  });
+  return {
+    threshold,
+    accuracy: (tp + tn) / samples.length,
+    fpr: fp / (fp + tn),
+    tpr: tp / (tp + fn)
+  };
+}
+
+// Candidates are sorted ascending and FPR only falls as the threshold rises,
+// so the first one under the target is the most sensitive acceptable cut-off.
+function lowestWithFpr(candidates, target) {
+  return candidates.find(c => c.fpr <= target) || candidates[candidates.length - 1];
+}
+
+function summary({accuracy, fpr, tpr}) {
+  return {accuracy: round(accuracy), fpr: round(fpr), tpr: round(tpr)};
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -1,2 +1,871 @@
-// Placeholder background script for Manifest V3
-// Currently no persistent behavior required
+import { sentenceSegments, probabilityToLevel, unsupportedResult, DEFAULT_THRESHOLDS } from './lib/scoring.js';
+import { compileRulePacks } from './lib/rules.js';
+import { ResultCache, hashSentence } from './lib/result-cache.js';
+import { DEFAULT_MODEL, modelScoreForOutput, profileDetects, resolveProfile } from './lib/models.js';
+import { redactPII, textFeatures } from './lib/redact.js';
+import { documentVerdict } from './lib/verdict.js';
+import {
+  DetectorRegistry, DEFAULT_WEIGHTS, runEnsemble, supportsLanguage, createHeuristicDetector, createHttpDetector
+} from './lib/detectors.js';
+import { InferenceClient } from './lib/inference-jobs.js';
+import { MANIFEST_PATH, findBundledModel } from './lib/bundle.js';
+import { DEFAULT_BUDGET, AnalysisBudget, prioritize } from './lib/budget.js';
+
+// Defaults for the options page (options.html). Clearing the backend URL
+// keeps everything local; feedback is only uploaded when an API key is set.
+// shareMode 'text' uploads PII-scrubbed sentences; 'hash-only' uploads a
+// SHA-256, the length and a feature vector instead.
+// ensembleWeights weighs the detectors (see lib/detectors.js); the HTTP
+// detector is only registered when httpDetectorUrl is set. analysisBudget
+// caps the work spent on one page (see lib/budget.js).
+const DEFAULT_SETTINGS = {
+  backendUrl: 'http://localhost:3000',
+  apiKey: '',
+  shareMode: 'text',
+  ensembleWeights: DEFAULT_WEIGHTS,
+  httpDetectorUrl: '',
+  analysisBudget: DEFAULT_BUDGET
+};
+
+// Recorded as the model version of results no model contributed to,
+// matching the backend's rules-only analysis
+const HEURISTIC_MODEL_VERSION = 'heuristic';
+
+// How long calibrated thresholds are trusted before re-fetching
+const THRESHOLDS_MAX_AGE = 6 * 60 * 60 * 1000;
+
+// Heuristic rule packs bundled with the extension, one per language
+const BUNDLED_RULESETS = ['rules/en.json', 'rules/de.json', 'rules/es.json'];
+
+// How often the backend model registry is polled for a new active version
+const MODEL_CHECK_PERIOD_MINUTES = 24 * 60;
+
+// The model runs in an offscreen document so it stays loaded when Chrome
+// evicts this service worker (see offscreen.js and lib/inference-jobs.js)
+const OFFSCREEN_DOCUMENT = 'offscreen.html';
+
+// Longest a classify job may take before the model is left out of a batch
+const CLASSIFY_TIMEOUT = 60 * 1000;
+
+// Longest a load job may take, checksums and warm-up included, before the
+// load counts as failed
+const LOAD_TIMEOUT = 5 * 60 * 1000;
+
+// How long a failed model load is remembered before it is tried again;
+// until then analyses run on the other detectors without re-verifying
+// the weights
+const MODEL_RETRY_DELAY = 10 * 60 * 1000;
+
+// Sentences per ensemble run; the model classifies each run in tensor
+// batches, and the page budget is checked between runs
+const ANALYSIS_BATCH_SIZE = 32;
+
+// Content scripts stream an analysis over a port with this name
+const ANALYSIS_PORT = 'analysis';
+
+// Feedback is uploaded once this many items are queued, in requests of at
+// most FEEDBACK_UPLOAD_SIZE (the backend's batch limit). While uploads fail
+// only the newest FEEDBACK_QUEUE_LIMIT items are kept.
+const FEEDBACK_UPLOAD_THRESHOLD = 10;
+const FEEDBACK_UPLOAD_SIZE = 100;
+const FEEDBACK_QUEUE_LIMIT = 1000;
+
+const inference = new InferenceClient(message => chrome.runtime.sendMessage(message));
+let offscreenCreating = null;
+
+let loadedModel = null; // Model version entry loaded in the offscreen document
+let modelLoaded = false;
+let modelLoadingPromise = null;
+let modelLoadProgress = null; // Verification progress (0-100) while loading
+let modelLoadError = null; // Why the last load failed
+let modelLoadFailedAt = null; // When it failed; modelLoadingPromise stays rejected until the retry
+let bundleManifest = null; // Promise of models/manifest.json, null inside if absent
+let rulePacks = null; // Map of language -> compiled ruleset
+let resultCache = null;
+let httpDetector = null; // { url, apiKey, detector }, kept so a 429 backoff outlives one analysis
+
+// Initialize model on extension install/startup
+chrome.runtime.onInstalled.addListener(async () => {
+  console.log('AI Detector extension installed');
+  chrome.alarms.create('checkModelVersion', { periodInMinutes: MODEL_CHECK_PERIOD_MINUTES });
+  checkModelVersion().finally(initializeModelIfEnabled);
+  refreshThresholds();
+  // A new build may bundle newer rules than the last backend copy
+  await chrome.storage.local.remove(['rulesetData', 'rulesetsData']);
+  refreshRuleset();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  console.log('AI Detector extension started');
+  checkModelVersion().finally(initializeModelIfEnabled);
+  refreshThresholds();
+  refreshRuleset();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === 'checkModelVersion') {
+    checkModelVersion();
+  }
+});
+
+// Create the offscreen model host unless it is already open.
+// Resolves to true when a new document was created (with no model loaded).
+// Jobs sent to a document that went away are failed first, since nothing
+// will answer them.
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT)]
+  });
+  if (contexts.length) return false;
+  
+  if (!offscreenCreating) {
+    inference.rejectAll(new Error('The offscreen document closed'));
+    offscreenCreating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT,
+      reasons: ['WORKERS'],
+      justification: 'Runs the AI detection model outside the service worker so it stays loaded'
+    }).finally(() => { offscreenCreating = null; });
+  }
+  await offscreenCreating;
+  return true;
+}
+
+// The bundle manifest (see lib/bundle.js). Packaged files cannot change
+// while the extension runs, so it is read once.
+function getBundleManifest() {
+  if (!bundleManifest) {
+    bundleManifest = fetch(chrome.runtime.getURL(MANIFEST_PATH))
+      .then(response => (response.ok ? response.json() : null))
+      .catch(() => null);
+  }
+  return bundleManifest;
+}
+
+// The active model version if its profile can detect AI text and its
+// weights ship with the extension, else null
+async function getBundledModel() {
+  const modelVersion = await getActiveModel();
+  const profile = resolveProfile(modelVersion);
+  if (!profileDetects(profile)) return null;
+  return findBundledModel(await getBundleManifest(), profile) ? modelVersion : null;
+}
+
+// Load the active model version into the offscreen document. After a
+// service worker restart this finds the model still warm and returns
+// without reading the weights again. A failed load rejects again at once
+// until MODEL_RETRY_DELAY has passed or the active version changes.
+async function initializeModel() {
+  const retry = modelLoadFailedAt !== null && Date.now() - modelLoadFailedAt >= MODEL_RETRY_DELAY;
+  if (modelLoadingPromise && !retry) {
+    return modelLoadingPromise;
+  }
+
+  modelLoadFailedAt = null;
+  modelLoadingPromise = (async () => {
+    try {
+      const modelVersion = await getBundledModel();
+      if (!modelVersion) {
+        throw new Error('The active model version is not bundled with the extension or has no AI label');
+      }
+      const profile = resolveProfile(modelVersion);
+      await ensureOffscreenDocument();
+      console.log(`Loading AI detection model ${modelVersion.id} (profile ${profile.id})...`);
+      
+      const { warm } = await inference.run('load', { modelId: modelVersion.id, profile }, {
+        onProgress: ({ progress }) => { modelLoadProgress = Math.round(progress); },
+        timeout: LOAD_TIMEOUT
+      });
+      
+      loadedModel = modelVersion;
+      modelLoaded = true;
+      modelLoadProgress = null;
+      modelLoadError = null;
+      console.log(warm ? '✓ Model already loaded in offscreen document' : '✓ Model loaded successfully');
+      
+      // Store model status
+      await chrome.storage.local.set({ 
+        modelLoaded: true,
+        modelLoadTime: Date.now(),
+        modelVersion: modelVersion.id
+      });
+      
+    } catch (error) {
+      console.error('✗ Error loading model:', error);
+      modelLoaded = false;
+      modelLoadProgress = null;
+      modelLoadError = error.message;
+      modelLoadFailedAt = Date.now();
+      await chrome.storage.local.set({ modelLoaded: false });
+      throw error;
+    }
+  })();
+
+  return modelLoadingPromise;
+}
+
+// Skips loading when the settings give the model no weight or no model
+// is bundled
+async function initializeModelIfEnabled() {
+  const { ensembleWeights } = await getSettings();
+  if (ensembleWeights.model <= 0) return;
+  
+  if (!await getBundledModel()) {
+    console.log('No bundled detection model; running on the heuristic rules only');
+    return;
+  }
+  return initializeModel().catch(() => {});
+}
+
+// The in-browser Transformers.js classifier as a detector plugin. The
+// bundled profiles are English only, so other languages are left to the
+// rules. Outputs whose label the profile does not map score nothing.
+const modelDetector = {
+  id: 'model',
+  capabilities: { languages: ['en'], remote: false, explains: false },
+  async score(sentences) {
+    // A recreated offscreen document starts without a model
+    if (await ensureOffscreenDocument() && modelLoaded) {
+      modelLoaded = false;
+      modelLoadingPromise = null;
+    }
+    if (!modelLoaded) {
+      await initializeModel();
+    }
+    
+    const modelVersion = loadedModel;
+    const profile = resolveProfile(modelVersion);
+    const { outputs } = await inference.run('classify', {
+      modelId: modelVersion.id,
+      texts: sentences.map(({ text }) => text)
+    }, { timeout: CLASSIFY_TIMEOUT });
+    
+    // Translate the top label into an AI probability using the
+    // profile's label mapping and score transform
+    return outputs.map(output => ({
+      probability: modelScoreForOutput(output, profile),
+      label: output.label,
+      modelVersion: modelVersion.id,
+      modelProfile: profile.id
+    }));
+  }
+};
+
+// Detectors for one analysis, so settings changes apply on the next run.
+// The model detector is left out when its weights are not bundled.
+async function createDetectorRegistry(settings) {
+  const registry = new DetectorRegistry()
+    .register(createHeuristicDetector(getRulePacks));
+  
+  if (await getBundledModel()) {
+    registry.register(modelDetector);
+  }
+  if (settings.httpDetectorUrl) {
+    registry.register(getHttpDetector(settings));
+  }
+  return registry;
+}
+
+// The HTTP detector, reused while its settings stay the same. The API key is
+// only sent to the configured backend, whose /api/detect allows keys more
+// requests than anonymous callers.
+function getHttpDetector({ httpDetectorUrl: url, backendUrl, apiKey }) {
+  const key = apiKey && backendUrl && new URL(url).origin === new URL(backendUrl).origin ? apiKey : '';
+  if (!httpDetector || httpDetector.url !== url || httpDetector.apiKey !== key) {
+    const headers = key ? { Authorization: `Bearer ${key}` } : {};
+    httpDetector = { url, apiKey: key, detector: createHttpDetector({ url, headers }) };
+  }
+  return httpDetector.detector;
+}
+
+// Handle messages from content script
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Job progress and results from the offscreen model host
+  if (inference.handleMessage(request)) {
+    return;
+  }
+  
+  // Only this extension's pages and content scripts may talk to us
+  if (sender.id !== chrome.runtime.id) {
+    sendResponse({ success: false, error: 'Invalid sender' });
+    return;
+  }
+
+  // Feedback comes from the content script in a tab
+  if (request.action === 'submitFeedback') {
+    if (!sender.tab) {
+      sendResponse({ success: false, error: 'Invalid sender' });
+      return;
+    }
+
+    handleFeedback(request.feedback)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (request.action === 'getCacheStats') {
+    getResultCache()
+      .then(cache => sendResponse({ success: true, stats: cache.stats() }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (request.action === 'getModelStatus') {
+    Promise.all([getSettings(), getBundledModel()]).then(([{ ensembleWeights }, bundled]) => sendResponse({ 
+      success: true, 
+      enabled: ensembleWeights.model > 0,
+      bundled: !!bundled,
+      loaded: modelLoaded,
+      loading: !!modelLoadingPromise && !modelLoaded && modelLoadFailedAt === null,
+      progress: modelLoadProgress,
+      error: modelLoadError,
+      modelVersion: loadedModel ? loadedModel.id : null,
+      modelProfile: loadedModel ? resolveProfile(loadedModel).id : null
+    }));
+    return true;
+  }
+});
+
+// Streams one analysis to the tab that opened the port:
+//
+//   tab -> worker  { action: 'analyzeText', text, locale, visibleRanges }
+//   worker -> tab  { type: 'batch', results, progress }  newly finished results
+//                  { type: 'done', verdict, partial }
+//                  { type: 'error', error }
+//
+// The open port also keeps this worker alive while a long page is analyzed.
+// The tab disconnects to stop; the batch in flight is the last one scored.
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== ANALYSIS_PORT) return;
+  if (!port.sender || !port.sender.tab) {
+    port.disconnect();
+    return;
+  }
+  
+  // Aborted by { type: 'stop' }, which still answers with 'done' and the
+  // partial result, or by the content script going away
+  const controller = new AbortController();
+  let connected = true;
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    controller.abort();
+  });
+  const post = message => {
+    if (connected) port.postMessage(message);
+  };
+  
+  port.onMessage.addListener(request => {
+    if (request.type === 'stop') {
+      controller.abort();
+      return;
+    }
+    if (request.action !== 'analyzeText') return;
+    
+    handleAnalyzeText(request.text, {
+      locale: request.locale,
+      visibleRanges: request.visibleRanges,
+      signal: controller.signal,
+      onBatch: (results, progress) => post({ type: 'batch', results, progress })
+    })
+      .then(({ verdict, partial }) => post({ type: 'done', verdict, partial }))
+      .catch(error => post({ type: 'error', error: error.message }));
+  });
+});
+
+// Analyze text with the detector ensemble.
+// Resolves to { results, verdict, partial }: per-sentence results in page
+// order and the page-level verdict (see lib/verdict.js), null when nothing
+// was scored. Each result carries start/end offsets into `text` and the
+// language of its paragraph; sentences in a language without a rule pack come
+// back as 'unsupported' without being scored. `detectors` on each result
+// holds the probability from every detector that scored it.
+// Sentences overlapping visibleRanges are scored first. When the page budget
+// runs out, or signal aborts, the rest are left out and partial is
+// { reason, analyzed, skipped } with reason 'time', 'sentences' or 'stopped';
+// otherwise it is null. onBatch(results, progress) receives each batch of
+// results as it finishes, with progress as a percentage. Results are cached
+// per sentence under the rule pack version and the detector setup.
+async function handleAnalyzeText(text, { locale, visibleRanges, signal, onBatch } = {}) {
+  const settings = await getSettings();
+  let weights = settings.ensembleWeights;
+  const registry = await createDetectorRegistry(settings);
+  const useModel = weights.model > 0 && !!registry.get('model');
+  
+  // Load the model first; if that fails the whole analysis runs without it
+  if (useModel && !modelLoaded) {
+    await initializeModel().catch(error => {
+      console.warn('Continuing without the model:', error.message);
+      weights = { ...weights, model: 0 };
+    });
+  }
+
+  // The active model version may carry its own cut-offs
+  const thresholds = (useModel && loadedModel && loadedModel.thresholds) || await getThresholds();
+  const packs = await getRulePacks();
+  const cache = await getResultCache();
+
+  // Split text into sentences for granular analysis
+  const sentences = sentenceSegments(text, { locale });
+  
+  if (sentences.length === 0) {
+    return { results: [], verdict: null, partial: null };
+  }
+
+  // One slot per sentence so results come back in page order whatever
+  // order they were scored in. Unsupported sentences cost no budget, and
+  // neither do sentences scored before under the same rules and detectors
+  // in a paragraph with the same stylometry.
+  const setup = detectorSetup(registry, weights, settings);
+  const versionsFor = language => ({ rulesetVersion: `${language}@${packs.get(language).version}`, ...setup });
+  const keys = await Promise.all(sentences.map(({ text: sentence, features }) =>
+    hashSentence(`${sentence}\n${JSON.stringify(features.paragraph)}`)));
+  const slots = new Array(sentences.length).fill(null);
+  const queue = [];
+  prioritize(sentences, visibleRanges).forEach(index => {
+    const { text: sentence, start, end, language } = sentences[index];
+    if (!packs.has(language)) {
+      slots[index] = { ...unsupportedResult(sentence, language), start, end };
+      return;
+    }
+    const cached = cache.get(keys[index], versionsFor(language));
+    if (cached) slots[index] = sentenceResult(sentences[index], cached, thresholds);
+    else queue.push(index);
+  });
+
+  console.log(`Analyzing ${queue.length} sentences with ${registry.enabled(weights).map(d => d.id).join(', ')}...`);
+
+  // Unsupported and cached sentences are known up front
+  const known = slots.filter(Boolean);
+  if (onBatch && known.length) onBatch(known, 0);
+
+  const budget = new AnalysisBudget(settings.analysisBudget);
+  let skipped = 0;
+  let stopped = false;
+
+  for (let i = 0; i < queue.length; i += ANALYSIS_BATCH_SIZE) {
+    if (signal && signal.aborted) {
+      skipped = queue.length - i;
+      stopped = true;
+      break;
+    }
+    
+    const wanted = queue.slice(i, i + ANALYSIS_BATCH_SIZE);
+    const granted = budget.take(wanted.length);
+    if (granted < wanted.length) {
+      skipped = queue.length - i - granted;
+    }
+    if (!granted) break;
+    
+    const indexes = wanted.slice(0, granted);
+    const combined = await runEnsemble(registry, indexes.map(index => sentences[index]), weights, {
+      onError: (detector, error) => console.warn(`Detector ${detector.id} failed:`, error.message)
+    });
+    
+    indexes.forEach((index, j) => {
+      // Null when every detector failed on this sentence
+      const ensemble = combined[j];
+      if (!ensemble) return;
+      
+      const { language } = sentences[index];
+      const { heuristic, model } = ensemble.details;
+      const entry = {
+        probability: ensemble.probability,
+        rules: heuristic ? heuristic.rules : [],
+        detectors: ensemble.scores,
+        modelScore: model ? model.probability : null,
+        modelLabel: model ? model.label : null,
+        modelVersion: model ? model.modelVersion : HEURISTIC_MODEL_VERSION,
+        modelProfile: model ? model.modelProfile : null
+      };
+      slots[index] = sentenceResult(sentences[index], entry, thresholds);
+      
+      // Only cache complete results, so a detector that failed this time
+      // is asked again next time
+      const complete = registry.enabled(weights)
+        .filter(detector => supportsLanguage(detector, language))
+        .every(detector => detector.id in ensemble.scores);
+      if (complete) cache.set(keys[index], entry, versionsFor(language));
+    });
+    
+    if (onBatch) {
+      onBatch(indexes.map(index => slots[index]).filter(Boolean), Math.round(((i + granted) / queue.length) * 100));
+    }
+    
+    if (skipped) break;
+  }
+
+  const results = slots.filter(Boolean);
+  const partial = skipped ? { reason: stopped ? 'stopped' : budget.reason, analyzed: budget.used, skipped } : null;
+  if (partial) {
+    console.log(`Page budget reached (${partial.reason}); ${skipped} sentences left unscored`);
+  }
+  console.log(`✓ Analysis complete: ${results.length} results`);
+  
+  await persistResultCache();
+  const { hitRate } = cache.stats();
+  if (hitRate !== null) {
+    console.log(`✓ Result cache hit rate: ${(hitRate * 100).toFixed(1)}%`);
+  }
+  
+  // Update statistics
+  await updateAnalysisStats(results);
+
+  return { results, verdict: documentVerdict(results, thresholds), partial };
+}
+
+// The result of one sentence from its cached entry; only the level depends
+// on the current thresholds
+function sentenceResult({ text, start, end, language, features }, entry, thresholds) {
+  return {
+    text,
+    start,
+    end,
+    language,
+    ...entry,
+    level: probabilityToLevel(entry.probability, thresholds),
+    features
+  };
+}
+
+// What cached results depend on besides the rules: the loaded model version
+// and profile, and which detectors run with what weights (and, for the HTTP
+// detector, which service)
+function detectorSetup(registry, weights, { httpDetectorUrl }) {
+  const enabled = registry.enabled(weights);
+  const useModel = enabled.some(detector => detector.id === 'model');
+  const profile = useModel && resolveProfile(loadedModel);
+  return {
+    modelVersion: profile ? `${loadedModel.id}/${profile.id}` : HEURISTIC_MODEL_VERSION,
+    detectors: JSON.stringify({
+      weights: Object.fromEntries(enabled.map(({ id }) => [id, weights[id]])),
+      http: enabled.some(detector => detector.id === 'http') ? httpDetectorUrl : null
+    })
+  };
+}
+
+// Store user feedback
+async function handleFeedback(feedback) {
+  try {
+    // Get existing feedback
+    const { feedbackData = [] } = await chrome.storage.local.get('feedbackData');
+    
+    // Add new feedback, dropping the oldest once the queue is full
+    feedbackData.push({
+      ...feedback,
+      id: crypto.randomUUID(),
+      timestamp: Date.now()
+    });
+    // Items queued before ids were introduced get one now
+    const queued = feedbackData.slice(-FEEDBACK_QUEUE_LIMIT)
+      .map(f => f.id ? f : { ...f, id: crypto.randomUUID() });
+    
+    // Store locally
+    await chrome.storage.local.set({ feedbackData: queued });
+    
+    console.log(`✓ Feedback stored (${queued.length} total)`);
+    
+    // Send to backend if we have enough data
+    if (queued.length >= FEEDBACK_UPLOAD_THRESHOLD) {
+      const settled = await sendFeedbackToBackend(queued);
+      if (settled) {
+        // Drop what the backend accepted or rejected for good; the rest is
+        // retried with the next batch. Re-read, as feedback may have
+        // arrived meanwhile.
+        const acknowledged = new Set(queued.slice(0, settled).map(f => f.id));
+        const { feedbackData: current = [] } = await chrome.storage.local.get('feedbackData');
+        await chrome.storage.local.set({ feedbackData: current.filter(f => !acknowledged.has(f.id)) });
+      }
+    }
+    
+  } catch (error) {
+    console.error('Error storing feedback:', error);
+    throw error;
+  }
+}
+
+// Send feedback to backend API in chunks the backend accepts; resolves to
+// how many items, from the front of the array, are settled. A chunk the
+// backend refuses (400 and other client errors) would be refused again, so
+// it is dropped and counted as settled. Rate limits (429), server errors and
+// network failures stop the upload so the rest is retried later, as does a
+// refused API key (401), which is no fault of the items.
+async function sendFeedbackToBackend(feedbackArray) {
+  let sent = 0;
+  let rejected = 0;
+  try {
+    const { apiKey, shareMode } = await getSettings();
+    if (!apiKey) return 0;
+    
+    while (sent + rejected < feedbackArray.length) {
+      const start = sent + rejected;
+      const chunk = feedbackArray.slice(start, start + FEEDBACK_UPLOAD_SIZE);
+      const feedback = await Promise.all(
+        chunk.map(f => prepareFeedbackForUpload(f, shareMode))
+      );
+      
+      const response = await backendFetch('/api/feedback', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ schema_version: 3, feedback })
+      });
+      
+      if (!response) break;
+      
+      if (response.ok) {
+        sent += chunk.length;
+        continue;
+      }
+      
+      if (response.status === 429) {
+        console.warn(`Backend rate limit hit, retry after ${response.headers.get('Retry-After')}s`);
+        break;
+      }
+      if (response.status === 401) {
+        console.warn('Backend rejected the API key; check the extension options');
+        break;
+      }
+      if (response.status < 500) {
+        const { errors = [] } = await response.json().catch(() => ({}));
+        console.warn(`Backend rejected ${chunk.length} feedback items (${response.status}); dropping them:`, errors);
+        rejected += chunk.length;
+        continue;
+      }
+      console.warn('Backend returned error:', response.status);
+      break;
+    }
+    
+  } catch (error) {
+    console.warn('Could not send feedback to backend:', error.message);
+    // Non-critical error - don't throw
+  }
+  if (sent) console.log(`✓ Sent ${sent} feedback items to backend`);
+  return sent + rejected;
+}
+
+// Scrub PII before anything leaves the device; in hash-only mode the text
+// itself is replaced by its hash, length and feature vector
+async function prepareFeedbackForUpload(f, shareMode) {
+  const { text } = redactPII(f.text);
+  const item = {
+    probability: f.probability,
+    level: f.level,
+    feedbackType: f.feedbackType,
+    url: anonymizeURL(f.url),
+    timestamp: f.timestamp,
+    model_version: f.modelVersion,
+    model_profile: f.modelProfile,
+    language: f.language
+  };
+  
+  if (shareMode === 'hash-only') {
+    return {
+      ...item,
+      text_hash: await hashSentence(text),
+      length: text.length,
+      features: textFeatures(text)
+    };
+  }
+  
+  return { ...item, text };
+}
+
+async function getSettings() {
+  const { settings } = await chrome.storage.sync.get('settings');
+  return {
+    ...DEFAULT_SETTINGS,
+    ...settings,
+    ensembleWeights: { ...DEFAULT_SETTINGS.ensembleWeights, ...(settings && settings.ensembleWeights) },
+    analysisBudget: { ...DEFAULT_SETTINGS.analysisBudget, ...(settings && settings.analysisBudget) }
+  };
+}
+
+// fetch() against the configured backend with the API key attached.
+// Resolves to null when no backend is configured.
+async function backendFetch(path, options = {}) {
+  const { backendUrl, apiKey } = await getSettings();
+  if (!backendUrl) return null;
+  
+  const headers = { ...options.headers };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+  
+  return fetch(`${backendUrl.replace(/\/$/, '')}${path}`, { ...options, headers });
+}
+
+// Sentence results survive service worker restarts via chrome.storage
+async function getResultCache() {
+  if (resultCache) return resultCache;
+  
+  resultCache = new ResultCache();
+  const { resultCacheData } = await chrome.storage.local.get('resultCacheData');
+  resultCache.load(resultCacheData);
+  return resultCache;
+}
+
+async function persistResultCache() {
+  if (!resultCache) return;
+  
+  try {
+    await chrome.storage.local.set({ resultCacheData: resultCache.toJSON() });
+  } catch (error) {
+    // Most likely the storage quota; start over rather than fail analysis
+    console.warn('Could not persist result cache:', error.message);
+    resultCache.clear();
+  }
+}
+
+// Model version chosen by the backend registry, or the built-in default
+async function getActiveModel() {
+  const { activeModel } = await chrome.storage.local.get('activeModel');
+  return activeModel || DEFAULT_MODEL;
+}
+
+// Switch to the registry's active model version if it changed. The new
+// model is loaded in place; no reinstall or restart is needed.
+async function checkModelVersion() {
+  try {
+    const response = await backendFetch('/api/models/active');
+    if (!response) return;
+    if (!response.ok) {
+      console.warn('Could not check model version:', response.status);
+      return;
+    }
+    
+    const latest = await response.json();
+    const current = await getActiveModel();
+    await chrome.storage.local.set({ activeModel: latest, modelCheckTime: Date.now() });
+    
+    const sameProfile = loadedModel &&
+      JSON.stringify(resolveProfile(loadedModel)) === JSON.stringify(resolveProfile(latest));
+    if (latest.id === current.id && (!loadedModel || sameProfile)) {
+      return;
+    }
+    
+    console.log(`Model version changed: ${current.id} → ${latest.id}`);
+    
+    // Let an in-flight load finish before replacing it
+    if (modelLoadingPromise) {
+      await modelLoadingPromise.catch(() => {});
+    }
+    
+    // The offscreen document swaps models once the new one is warm
+    if (loadedModel) {
+      loadedModel = null;
+      modelLoaded = false;
+      modelLoadingPromise = null;
+      await initializeModel();
+    } else if (modelLoadFailedAt !== null) {
+      // The new version gets its own try with the next analysis
+      modelLoadingPromise = null;
+      modelLoadFailedAt = null;
+    }
+    
+  } catch (error) {
+    console.warn('Could not check model version:', error.message);
+    // Non-critical error - keep the current model
+  }
+}
+
+// Compiled heuristic rule packs: the set last fetched from the backend if
+// any, otherwise the ones bundled with the extension
+async function getRulePacks() {
+  if (rulePacks) return rulePacks;
+  
+  let { rulesetsData } = await chrome.storage.local.get('rulesetsData');
+  if (!rulesetsData) {
+    rulesetsData = await Promise.all(BUNDLED_RULESETS.map(async path => {
+      const response = await fetch(chrome.runtime.getURL(path));
+      return response.json();
+    }));
+  }
+  
+  rulePacks = compileRulePacks(rulesetsData);
+  const summary = [...rulePacks.values()].map(r => `${r.language}@${r.version}`).join(', ');
+  console.log(`✓ Rule packs loaded: ${summary}`);
+  return rulePacks;
+}
+
+async function refreshRuleset() {
+  try {
+    const response = await backendFetch('/api/rulesets');
+    if (!response) return;
+    if (!response.ok) {
+      console.warn('Could not fetch rulesets:', response.status);
+      return;
+    }
+    
+    const { rulesets: rulesetsData } = await response.json();
+    // Compile first so a broken pack never replaces a working set
+    const compiled = compileRulePacks(rulesetsData);
+    await chrome.storage.local.set({ rulesetsData });
+    rulePacks = compiled;
+    // Cached results of the old rule versions are discarded as they are looked up
+    
+  } catch (error) {
+    console.warn('Could not fetch rulesets:', error.message);
+  }
+}
+
+// Level cut-offs calibrated on the backend from user feedback.
+// Returns the cached copy (or the built-in defaults) immediately and
+// refreshes in the background once the cache is stale.
+async function getThresholds() {
+  const { thresholds } = await chrome.storage.local.get('thresholds');
+  
+  if (!thresholds || Date.now() - thresholds.fetchedAt > THRESHOLDS_MAX_AGE) {
+    refreshThresholds();
+  }
+  
+  return thresholds || DEFAULT_THRESHOLDS;
+}
+
+async function refreshThresholds() {
+  try {
+    const response = await backendFetch('/api/thresholds');
+    if (!response) return;
+    if (!response.ok) {
+      console.warn('Could not fetch thresholds:', response.status);
+      return;
+    }
+    
+    const { version, high, medium } = await response.json();
+    await chrome.storage.local.set({
+      thresholds: { version, high, medium, fetchedAt: Date.now() }
+    });
+    console.log(`✓ Thresholds v${version}: high > ${high}, medium > ${medium}`);
+    
+  } catch (error) {
+    console.warn('Could not fetch thresholds:', error.message);
+    // Non-critical error - keep using cached or default thresholds
+  }
+}
+
+// Anonymize URLs for privacy
+function anonymizeURL(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.hostname; // Only store domain
+  } catch {
+    return 'unknown';
+  }
+}
+
+// Update analysis statistics
+async function updateAnalysisStats(results) {
+  const { analysisStats = { total: 0, high: 0, medium: 0, low: 0 } } = 
+    await chrome.storage.local.get('analysisStats');
+  analysisStats.unsupported = analysisStats.unsupported || 0;
+  analysisStats.languages = analysisStats.languages || {};
+  
+  results.forEach(r => {
+    analysisStats.total++;
+    analysisStats[r.level]++;
+    analysisStats.languages[r.language] = (analysisStats.languages[r.language] || 0) + 1;
+  });
+  
+  await chrome.storage.local.set({ analysisStats });
+}
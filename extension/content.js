@@ -1,23 +1,451 @@
-// Listener for messages from the popup
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'RUN_DETECTION') {
-    runDetection();
+// Port name background.js streams analyses over
+const ANALYSIS_PORT = 'analysis';
+
+// Verdict wording shared with the popup (see lib/verdict-text.js), loaded
+// before the detector starts
+let verdictText = null;
+
+// Whether any part of the element is inside the viewport
+function isOnScreen(element) {
+  const rect = element.getBoundingClientRect();
+  return rect.width > 0 && rect.height > 0 && rect.bottom > 0 && rect.top < window.innerHeight;
+}
+
+// Elements whose text is never analyzed
+const SKIPPED_ELEMENTS = 'script, style, noscript, template, nav, header, footer, aside, .ai-detector-widget, .ai-feedback-widget, .ai-detector-progress';
+
+// Elements that start a new paragraph for the sentence segmenter
+const BLOCK_ELEMENTS = new Set([
+  'ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION',
+  'TABLE', 'TD', 'TH', 'TR', 'UL', 'BR', 'HR'
+]);
+
+class AIDetectorContent {
+  constructor() {
+    this.markInstance = null;
+    this.highlights = [];
+    this.verdict = null;
+    this.partial = null; // Set when the page budget ran out (see lib/budget.js)
+    this.port = null; // Open while an analysis streams in
+    this.stopping = false; // Stop was requested; waiting for 'done'
+    this.isActive = false;
+    this.feedbackWidgets = new Map();
+    this.init();
+  }
+
+  init() {
+    // Initialize mark.js
+    this.markInstance = new Mark(document.body);
+    
+    // Listen for messages from popup/background
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      if (request.action === 'startDetection') {
+        this.startDetection();
+        sendResponse({ success: true });
+        return true;
+      }
+      
+      if (request.action === 'stopDetection') {
+        this.stopDetection();
+        sendResponse({ success: true });
+        return true;
+      }
+      
+      if (request.action === 'getPageInfo') {
+        sendResponse({
+          success: true,
+          info: {
+            highlightCount: this.highlights.length,
+            isActive: this.isActive,
+            verdict: this.verdict,
+            partial: this.partial
+          }
+        });
+        return true;
+      }
+    });
+  }
+
+  startDetection() {
+    if (this.isActive || this.port) {
+      console.log('Detection already active');
+      return;
+    }
+
+    // Extract text from page
+    const { text: pageText, visibleRanges } = this.extractPageText();
+    
+    if (!pageText || pageText.length < 50) {
+      this.showNotification('Not enough text to analyze', 'warning');
+      return;
+    }
+
+    console.log(`Extracted ${pageText.length} characters`);
+
+    // Results stream back over the port batch by batch (see background.js)
+    const port = chrome.runtime.connect({ name: ANALYSIS_PORT });
+    this.port = port;
+    this.isActive = true;
+    this.showProgress();
+
+    port.onMessage.addListener(message => this.handleAnalysisMessage(message));
+    port.onDisconnect.addListener(() => {
+      // Only unexpected when we did not close it ourselves
+      if (this.port !== port) return;
+      this.finishAnalysis();
+      this.showNotification('Analysis stopped: the extension was reloaded or closed', 'error');
+    });
+    port.postMessage({
+      action: 'analyzeText',
+      text: pageText,
+      visibleRanges,
+      locale: document.documentElement.lang || navigator.language
+    });
+  }
+
+  handleAnalysisMessage(message) {
+    if (message.type === 'batch') {
+      // Highlight each batch as soon as it is scored
+      const first = this.highlights.length;
+      this.highlights.push(...message.results);
+      this.applyHighlights(first);
+      this.updateProgress(message.progress);
+      return;
+    }
+
+    this.finishAnalysis();
+    if (message.type === 'done') {
+      this.verdict = message.verdict;
+      this.partial = message.partial;
+      if (this.verdict) {
+        this.showVerdict(this.verdict, this.partial);
+      } else {
+        const { message: notice, type } = verdictText.describeNoVerdict(this.partial);
+        this.showNotification(notice, type);
+      }
+    } else if (message.type === 'error') {
+      console.error('Detection error:', message.error);
+      this.showNotification('Analysis failed: ' + message.error, 'error');
+    }
   }
-});
 
-// Simple detection stub: highlight all text
-function runDetection() {
-  const bodyText = document.body.innerText || '';
-  if (bodyText.length === 0) return;
-
-  // Remove existing highlights if any
-  document.querySelectorAll('.ai-highlight').forEach(el => {
-    el.classList.remove('ai-highlight');
-  });
-
-  // Highlight paragraphs: simple demonstration
-  const paragraphs = document.body.querySelectorAll('p');
-  paragraphs.forEach(p => {
-    p.classList.add('ai-highlight');
-  });
+  // Closes the analysis port; highlights so far stay on the page
+  finishAnalysis() {
+    const port = this.port;
+    this.port = null;
+    this.stopping = false;
+    if (port) port.disconnect();
+    this.isActive = this.highlights.length > 0;
+    this.hideProgress();
+  }
+
+  // Asks the background to stop after the batch in progress. It answers
+  // with 'done' and a partial result, so the verdict covers what was
+  // highlighted and says the rest was stopped.
+  cancelAnalysis() {
+    if (!this.port || this.stopping) return;
+    this.stopping = true;
+    this.port.postMessage({ type: 'stop' });
+
+    const indicator = document.getElementById('ai-detector-progress');
+    if (!indicator) return;
+    indicator.querySelector('.ai-detector-progress-label').textContent = 'Stopping…';
+    indicator.querySelector('.ai-detector-progress-stop').disabled = true;
+  }
+
+  stopDetection() {
+    this.finishAnalysis();
+    this.clearHighlights();
+    this.isActive = false;
+    this.showNotification('Detection cleared', 'info');
+  }
+
+  extractPageText() {
+    // Try to find main content
+    const selectors = [
+      'article',
+      'main',
+      '[role="main"]',
+      '.content',
+      '.post-content',
+      '.article-content',
+      '#content'
+    ];
+
+    let contentElement = null;
+    for (const selector of selectors) {
+      contentElement = document.querySelector(selector);
+      if (contentElement) break;
+    }
+
+    // Fallback to body
+    if (!contentElement) {
+      contentElement = document.body;
+    }
+
+    // Offsets of the paragraphs on screen, which are analyzed first
+    const paragraphs = this.collectParagraphs(contentElement);
+    const visibleRanges = [];
+    let offset = 0;
+    paragraphs.forEach(({ text, element }) => {
+      if (isOnScreen(element)) visibleRanges.push({ start: offset, end: offset + text.length });
+      offset += text.length + 1;
+    });
+
+    return { text: paragraphs.map(paragraph => paragraph.text).join('\n'), visibleRanges };
+  }
+
+  // { text, element } for each block element, in document order. Block
+  // boundaries become line breaks in the analyzed text, which the segmenter
+  // treats as paragraph ends, so headings and list items stay separate
+  // sentences.
+  collectParagraphs(root) {
+    const paragraphs = [];
+    let current = '';
+    let currentBlock = root;
+
+    const flush = () => {
+      const text = current.replace(/\s+/g, ' ').trim();
+      if (text) paragraphs.push({ text, element: currentBlock });
+      current = '';
+    };
+
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        current += node.nodeValue;
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE || node.matches(SKIPPED_ELEMENTS) || node.hidden) {
+        return;
+      }
+
+      const block = BLOCK_ELEMENTS.has(node.tagName);
+      const parentBlock = currentBlock;
+      if (block) {
+        flush();
+        currentBlock = node;
+      }
+      node.childNodes.forEach(walk);
+      if (block) {
+        flush();
+        currentBlock = parentBlock;
+      }
+    };
+
+    walk(root);
+    flush();
+    return paragraphs;
+  }
+
+  // Highlights this.highlights from index `first` on, so batches can be
+  // added as they arrive
+  applyHighlights(first = 0) {
+    this.highlights.slice(first).forEach((highlight, offset) => {
+      const index = first + offset;
+      // Unsupported-language sentences have no score to show
+      if (highlight.probability === null) return;
+
+      // Use mark.js to highlight text
+      this.markInstance.mark(highlight.text, {
+        accuracy: {
+          value: 'exactly',
+          limiters: [',', '.', '!', '?']
+        },
+        separateWordSearch: false,
+        className: `ai-highlight ai-${highlight.level}`,
+        each: (element) => {
+          element.dataset.highlightId = index;
+          element.dataset.probability = (highlight.probability * 100).toFixed(1);
+          element.dataset.level = highlight.level;
+          element.lang = highlight.language;
+          
+          // Add tooltip on hover
+          element.title = `AI Probability: ${(highlight.probability * 100).toFixed(1)}%`;
+          
+          // Add feedback widget
+          this.addFeedbackWidget(element, index);
+        }
+      });
+    });
+
+    console.log(`✓ Applied ${this.highlights.length - first} highlights`);
+  }
+
+  addFeedbackWidget(element, highlightId) {
+    // Create feedback widget
+    const widget = document.createElement('span');
+    widget.className = 'ai-feedback-widget';
+    widget.innerHTML = `
+      <span class="ai-prob-badge">${this.highlights[highlightId].probability.toFixed(2)}</span>
+      <button class="ai-feedback-btn ai-thumbs-up" title="Correct detection">👍</button>
+      <button class="ai-feedback-btn ai-thumbs-down" title="Incorrect detection">👎</button>
+    `;
+
+    // Insert after highlighted element
+    element.parentNode.insertBefore(widget, element.nextSibling);
+
+    // Store reference
+    this.feedbackWidgets.set(highlightId, widget);
+
+    // Add event listeners
+    const thumbsUp = widget.querySelector('.ai-thumbs-up');
+    const thumbsDown = widget.querySelector('.ai-thumbs-down');
+
+    thumbsUp.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.submitFeedback(highlightId, 'agree');
+    });
+
+    thumbsDown.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.submitFeedback(highlightId, 'disagree');
+    });
+  }
+
+  async submitFeedback(highlightId, feedbackType) {
+    const highlight = this.highlights[highlightId];
+    const widget = this.feedbackWidgets.get(highlightId);
+
+    try {
+      await chrome.runtime.sendMessage({
+        action: 'submitFeedback',
+        feedback: {
+          text: highlight.text,
+          probability: highlight.probability,
+          level: highlight.level,
+          feedbackType: feedbackType,
+          url: window.location.href,
+          modelVersion: highlight.modelVersion,
+          modelProfile: highlight.modelProfile,
+          language: highlight.language
+        }
+      });
+
+      // Visual feedback
+      if (widget) {
+        widget.classList.add('feedback-submitted');
+        widget.classList.add(`feedback-${feedbackType}`);
+        
+        setTimeout(() => {
+          widget.classList.remove('feedback-submitted');
+        }, 2000);
+      }
+
+      console.log(`✓ Feedback submitted: ${feedbackType}`);
+
+    } catch (error) {
+      console.error('Error submitting feedback:', error);
+    }
+  }
+
+  clearHighlights() {
+    // Remove mark.js highlights
+    this.markInstance.unmark();
+    
+    // Remove feedback widgets
+    document.querySelectorAll('.ai-feedback-widget').forEach(el => el.remove());
+    
+    this.highlights = [];
+    this.verdict = null;
+    this.partial = null;
+    this.feedbackWidgets.clear();
+  }
+
+  // Small corner indicator; the page stays usable while analysis runs
+  showProgress() {
+    this.hideProgress();
+    const indicator = document.createElement('div');
+    indicator.id = 'ai-detector-progress';
+    indicator.className = 'ai-detector-progress';
+    indicator.innerHTML = `
+      <div class="ai-detector-progress-spinner"></div>
+      <span class="ai-detector-progress-label">Analyzing…</span>
+      <button class="ai-detector-progress-stop" type="button">Stop</button>
+      <div class="ai-detector-progress-bar"><div class="ai-detector-progress-fill"></div></div>
+    `;
+    indicator.querySelector('.ai-detector-progress-stop').addEventListener('click', () => this.cancelAnalysis());
+    document.body.appendChild(indicator);
+  }
+
+  updateProgress(progress) {
+    const indicator = document.getElementById('ai-detector-progress');
+    if (!indicator || this.stopping) return;
+    indicator.querySelector('.ai-detector-progress-label').textContent = `Analyzing… ${progress}%`;
+    indicator.querySelector('.ai-detector-progress-fill').style.width = `${progress}%`;
+  }
+
+  hideProgress() {
+    const indicator = document.getElementById('ai-detector-progress');
+    if (indicator) {
+      indicator.remove();
+    }
+  }
+
+  // Page-level verdict; stays up longer than plain notifications
+  showVerdict(verdict, partial = null) {
+    const percent = value => `${Math.round(value * 100)}%`;
+    const flagged = verdict.share.high + verdict.share.medium;
+    const unsupported = verdict.unsupportedSentences
+      ? ` · ${verdict.unsupportedSentences} in unsupported languages`
+      : '';
+    const interval = verdict.confidenceInterval
+      ? ` (95% CI ${percent(verdict.confidenceInterval.lower)}–${percent(verdict.confidenceInterval.upper)})`
+      : '';
+    const run = verdict.longestFlaggedRun.sentences;
+
+    const notification = document.createElement('div');
+    notification.className = `ai-detector-notification ai-detector-verdict ai-verdict-${verdict.level}`;
+    notification.innerHTML = `
+      <div class="ai-verdict-title"></div>
+      <div class="ai-verdict-score"></div>
+      <div class="ai-verdict-detail"></div>
+      <div class="ai-verdict-detail ai-verdict-languages"></div>
+      <div class="ai-verdict-detail ai-verdict-partial"></div>
+    `;
+    notification.querySelector('.ai-verdict-title').textContent = verdictText.VERDICT_LABELS[verdict.level];
+    notification.querySelector('.ai-verdict-score').textContent = verdict.aiLikelihood === null
+      ? 'No text in a language with a rule pack'
+      : `AI likelihood ${percent(verdict.aiLikelihood)}${interval}`;
+    notification.querySelector('.ai-verdict-detail').textContent =
+      `${percent(flagged)} of text flagged · longest flagged run ${run} sentence${run === 1 ? '' : 's'} · ` +
+      `${verdict.sentences} sentences analyzed${unsupported}`;
+    notification.querySelector('.ai-verdict-languages').textContent = verdictText.describeLanguages(verdict.languages);
+    notification.querySelector('.ai-verdict-partial').textContent = partial ? verdictText.describePartial(partial) : '';
+
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+      notification.classList.add('show');
+    }, 10);
+
+    setTimeout(() => {
+      notification.classList.remove('show');
+      setTimeout(() => notification.remove(), 300);
+    }, 8000);
+  }
+
+  showNotification(message, type = 'info') {
+    const notification = document.createElement('div');
+    notification.className = `ai-detector-notification ai-detector-${type}`;
+    notification.textContent = message;
+    
+    document.body.appendChild(notification);
+    
+    setTimeout(() => {
+      notification.classList.add('show');
+    }, 10);
+    
+    setTimeout(() => {
+      notification.classList.remove('show');
+      setTimeout(() => notification.remove(), 300);
+    }, 3000);
+  }
 }
+
+// Initialize detector. Content scripts cannot import statically, so the
+// shared module is a web accessible resource loaded with import().
+import(chrome.runtime.getURL('lib/verdict-text.js')).then(module => {
+  verdictText = module;
+  new AIDetectorContent();
+});
@@ -0,0 +1,51 @@
+// ========================================
+// budget.js - Per-page analysis budget and sentence priority
+// ========================================
+// A long page can hold thousands of sentences. Analysis scores them in
+// priority order - sentences the reader can see first, then the rest of the
+// page - and stops once the page's budget runs out:
+//
+//   maxSentences  most sentences scored per page
+//   maxSeconds    wall-clock time after which no new batch is started
+//
+// Whatever is left unscored is reported so results can be flagged partial.
+
+export const DEFAULT_BUDGET = { maxSentences: 500, maxSeconds: 60 };
+
+// Sentence indexes in the order they should be analyzed: those overlapping
+// a visible range ({ start, end } offsets into the analyzed text) first,
+// then the rest, each group in page order
+export function prioritize(sentences, visibleRanges = []) {
+  const visible = [];
+  const rest = [];
+  sentences.forEach(({ start, end }, index) => {
+    const seen = visibleRanges.some(range => start < range.end && end > range.start);
+    (seen ? visible : rest).push(index);
+  });
+  return [...visible, ...rest];
+}
+
+export class AnalysisBudget {
+  constructor({ maxSentences, maxSeconds } = DEFAULT_BUDGET, now = Date.now) {
+    this.maxSentences = maxSentences;
+    this.deadline = now() + maxSeconds * 1000;
+    this.now = now;
+    this.used = 0;
+    this.reason = null; // 'sentences' or 'time' once exhausted
+  }
+
+  // How many of the next `wanted` sentences may still be scored; 0 once the
+  // budget is spent
+  take(wanted) {
+    if (this.reason) return 0;
+    if (this.now() >= this.deadline) {
+      this.reason = 'time';
+      return 0;
+    }
+
+    const granted = Math.min(wanted, this.maxSentences - this.used);
+    if (granted < wanted) this.reason = 'sentences';
+    this.used += granted;
+    return granted;
+  }
+}
@@ -0,0 +1,63 @@
+// ========================================
+// bundle.js - Bundled model runtime and weights
+// ========================================
+// MV3 extensions may not load remote code, so Transformers.js and the model
+// weights ship inside the extension. `npm run bundle-model` downloads them
+// and writes models/manifest.json with a SHA-256 for every file:
+//
+//   {
+//     "runtime": { "version": "2.6.0", "files": { "transformers.min.js": "<sha256>", ... } },
+//     "models": [
+//       { "id": "chatgpt-detector-roberta", "model": "Hello-SimpleAI/chatgpt-detector-roberta",
+//         "files": { "config.json": "<sha256>", "onnx/model_quantized.onnx": "<sha256>", ... } }
+//     ]
+//   }
+//
+// Runtime files live in RUNTIME_DIR and a model's files in
+// MODELS_DIR/<model>/. Every file is checked against the manifest before the
+// runtime is imported. Without a manifest, or without an entry for the model
+// of the active profile, the extension runs on the heuristic detector alone.
+
+export const MANIFEST_PATH = 'models/manifest.json';
+export const RUNTIME_DIR = 'vendor/transformers/';
+export const RUNTIME_ENTRY = 'transformers.min.js';
+export const MODELS_DIR = 'models/';
+
+// The manifest entry for a model profile (matched on its model id), or null
+export function findBundledModel(manifest, profile) {
+  if (!manifest || !Array.isArray(manifest.models) || !profile) return null;
+  return manifest.models.find(entry => entry.model === profile.model) || null;
+}
+
+export async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Fetches every file under baseUrl and compares it with its expected hash.
+// files maps relative path -> sha256. Throws naming the first file that is
+// missing or does not match. onFile(path, index, total) reports progress.
+export async function verifyFiles(baseUrl, files, { fetchImpl = fetch, onFile } = {}) {
+  const entries = Object.entries(files || {});
+  if (!entries.length) {
+    throw new Error(`No files listed for ${baseUrl}`);
+  }
+
+  for (const [index, [path, expected]] of entries.entries()) {
+    let response;
+    try {
+      response = await fetchImpl(`${baseUrl}${path}`);
+    } catch (error) {
+      throw new Error(`${path} is missing from the bundle`);
+    }
+    if (!response.ok) {
+      throw new Error(`${path} is missing from the bundle`);
+    }
+
+    const actual = await sha256Hex(await response.arrayBuffer());
+    if (actual !== expected) {
+      throw new Error(`${path} failed its checksum (expected ${expected.slice(0, 12)}…, got ${actual.slice(0, 12)}…)`);
+    }
+    if (onFile) onFile(path, index + 1, entries.length);
+  }
+}
@@ -0,0 +1,213 @@
+// ========================================
+// detectors.js - Detector plugins and the weighted ensemble
+// ========================================
+// A detector turns sentences into AI probabilities. Each one is registered
+// with an id, its capabilities and an async score() function:
+//
+//   id            key for its ensemble weight and its per-result score
+//   capabilities  languages  language codes it can score, null for any
+//                 remote     sends text off the device
+//                 explains   reports the rules that fired
+//   score(sentences)
+//                 sentences are [{ text, language, features }]; resolves to
+//                 one entry per sentence in the same order, either
+//                 { probability, rules?, label? } or null when the detector
+//                 has no opinion on that sentence
+//
+// The ensemble is a weighted mean over the detectors that scored a sentence,
+// so a detector that skips a language, or fails, just drops out for it.
+// Weights come from the extension settings; a weight of 0 disables a
+// detector without unregistering it.
+
+import { scoreSentence } from './scoring.js';
+import { redactPII } from './redact.js';
+
+export const DEFAULT_WEIGHTS = { heuristic: 1, model: 0.25, http: 0 };
+
+export const DEFAULT_HTTP_TIMEOUT = 10000;
+
+// How long a rate-limited HTTP detector waits when the service sends no
+// usable Retry-After
+const DEFAULT_RETRY_AFTER = 60 * 1000;
+
+export class DetectorRegistry {
+  constructor() {
+    this.detectors = new Map();
+  }
+
+  register(detector) {
+    if (!detector || typeof detector.id !== 'string' || !detector.id) {
+      throw new Error('Detectors need a non-empty string id');
+    }
+    if (typeof detector.score !== 'function') {
+      throw new Error(`Detector ${detector.id} needs a score(sentences) function`);
+    }
+    if (this.detectors.has(detector.id)) {
+      throw new Error(`Detector ${detector.id} is already registered`);
+    }
+    this.detectors.set(detector.id, {
+      ...detector,
+      capabilities: { languages: null, remote: false, explains: false, ...detector.capabilities }
+    });
+    return this;
+  }
+
+  get(id) {
+    return this.detectors.get(id) || null;
+  }
+
+  list() {
+    return [...this.detectors.values()];
+  }
+
+  // Detectors with a positive weight, in registration order
+  enabled(weights) {
+    return this.list().filter(detector => (weights[detector.id] ?? 0) > 0);
+  }
+}
+
+export function supportsLanguage(detector, language) {
+  const { languages } = detector.capabilities;
+  return !languages || languages.includes(language);
+}
+
+// Scores sentences with every enabled detector and combines the results.
+// Resolves to one entry per sentence: { probability, scores, details } where
+// scores maps detector id -> probability and details keeps each detector's
+// full entry, or null when no detector scored the sentence.
+// onError(detector, error) is called for detectors that throw.
+export async function runEnsemble(registry, sentences, weights, { onError } = {}) {
+  const detectors = registry.enabled(weights);
+
+  const outputs = await Promise.all(detectors.map(async detector => {
+    const indexes = [];
+    sentences.forEach((sentence, index) => {
+      if (supportsLanguage(detector, sentence.language)) indexes.push(index);
+    });
+    if (!indexes.length) return null;
+
+    try {
+      const entries = await detector.score(indexes.map(index => sentences[index]));
+      const aligned = new Array(sentences.length).fill(null);
+      indexes.forEach((sentenceIndex, i) => { aligned[sentenceIndex] = entries[i] || null; });
+      return aligned;
+    } catch (error) {
+      if (onError) onError(detector, error);
+      return null;
+    }
+  }));
+
+  return sentences.map((sentence, index) => combineScores(
+    detectors.map((detector, d) => ({ id: detector.id, entry: outputs[d] && outputs[d][index] })),
+    weights
+  ));
+}
+
+// Weighted mean of [{ id, entry }], ignoring missing entries
+export function combineScores(candidates, weights) {
+  let total = 0;
+  let weighted = 0;
+  const scores = {};
+  const details = {};
+
+  candidates.forEach(({ id, entry }) => {
+    if (!entry || typeof entry.probability !== 'number') return;
+    const weight = weights[id] ?? 0;
+    total += weight;
+    weighted += weight * entry.probability;
+    scores[id] = entry.probability;
+    details[id] = entry;
+  });
+
+  if (!total) return null;
+  return { probability: weighted / total, scores, details };
+}
+
+// The rules engine over the per-language rule packs. getPacks resolves to
+// the Map from compileRulePacks; languages without a pack get null.
+export function createHeuristicDetector(getPacks) {
+  return {
+    id: 'heuristic',
+    capabilities: { languages: null, remote: false, explains: true },
+    async score(sentences) {
+      const packs = await getPacks();
+      return sentences.map(({ text, language, features }) => {
+        const ruleset = packs.get(language);
+        if (!ruleset) return null;
+        const { probability, rules } = scoreSentence(text, { ruleset, features });
+        return { probability, rules, rulesetVersion: `${language}@${ruleset.version}` };
+      });
+    }
+  };
+}
+
+// Generic HTTP detector. POSTs { sentences: [{ text, language }] } to url
+// and expects { scores: [{ probability, label? } | null] } back in the same
+// order; the backend's POST /api/detect speaks this protocol, and so can
+// any local stand-in. The service is whatever the user configured, so
+// sentences are scrubbed of personal data (see redact.js) before they leave
+// unless `redact` is false. After a 429 the detector fails without calling
+// the service until its Retry-After has passed, so it drops out of the
+// ensemble instead of adding to the limit.
+export function createHttpDetector({
+  id = 'http',
+  url,
+  headers = {},
+  languages = null,
+  timeout = DEFAULT_HTTP_TIMEOUT,
+  redact = true,
+  fetchImpl = fetch,
+  now = Date.now
+}) {
+  if (!url) throw new Error(`Detector ${id} needs a url`);
+
+  let retryAt = 0;
+
+  return {
+    id,
+    capabilities: { languages, remote: true, explains: false },
+    async score(sentences) {
+      if (now() < retryAt) {
+        throw new Error(`${url} is rate limited for another ${Math.ceil((retryAt - now()) / 1000)}s`);
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+
+      try {
+        const response = await fetchImpl(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...headers },
+          body: JSON.stringify({
+            sentences: sentences.map(({ text, language }) => ({ text: redact ? redactPII(text).text : text, language }))
+          }),
+          signal: controller.signal
+        });
+        if (response.status === 429) {
+          retryAt = now() + retryAfter(response.headers.get('Retry-After'), now());
+        }
+        if (!response.ok) {
+          throw new Error(`${url} returned ${response.status}`);
+        }
+
+        const body = await response.json();
+        if (!Array.isArray(body.scores) || body.scores.length !== sentences.length) {
+          throw new Error(`${url} must return one score per sentence`);
+        }
+        return body.scores.map(entry => (entry && typeof entry.probability === 'number'
+          ? { probability: Math.min(Math.max(entry.probability, 0), 1), label: entry.label ?? null }
+          : null));
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+}
+
+// Milliseconds to wait from a Retry-After header, which is either seconds
+// or an HTTP date
+function retryAfter(header, now) {
+  if (header && /^\d+$/.test(header.trim())) return Number(header) * 1000;
+  const date = header ? Date.parse(header) : NaN;
+  return Number.isNaN(date) ? DEFAULT_RETRY_AFTER : Math.max(date - now, 0);
+}
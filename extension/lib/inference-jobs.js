@@ -0,0 +1,116 @@
+// ========================================
+// inference-jobs.js - Job protocol for the offscreen inference document
+// ========================================
+// The model runs in offscreen.html rather than the service worker, so it
+// stays loaded when Chrome evicts the worker. The two sides talk through
+// chrome.runtime messages:
+//
+//   worker -> host    { target: 'offscreen', type: 'job', jobId, kind, payload }
+//   host -> worker    { target: 'service-worker', type: 'progress', jobId, progress }
+//                     { target: 'service-worker', type: 'done', jobId, result }
+//                     { target: 'service-worker', type: 'error', jobId, error }
+//
+// Job kinds:
+//
+//   load      { modelId, profile }           profile is a models.js profile;
+//             -> { modelId, warm }           warm is true when it was
+//                                            already loaded. Fails unless the
+//                                            model is bundled and passes its
+//                                            checksums. Progress reports
+//                                            { file, progress } as model files
+//                                            are verified.
+//   classify  { modelId, texts } -> { outputs: [{ label, score, chunks? }] }
+//                                            top prediction per text, run in
+//                                            tensor batches; fails if another
+//                                            model is loaded. Texts over the
+//                                            profile's token limit are split,
+//                                            and their output is the most
+//                                            confident chunk plus every chunk
+//                                            prediction in `chunks`. Progress
+//                                            reports { done, total } inputs.
+//
+// Job ids carry a per-worker prefix, so replies to jobs started by an
+// evicted worker are ignored by its successor.
+
+export const HOST_TARGET = 'offscreen';
+export const CLIENT_TARGET = 'service-worker';
+
+export const JOB_KINDS = ['load', 'classify'];
+
+export class InferenceClient {
+  // send(message) delivers a message to the host and may return a promise
+  constructor(send) {
+    this.send = send;
+    this.prefix = Math.random().toString(36).slice(2, 10);
+    this.nextId = 1;
+    this.jobs = new Map();
+  }
+
+  // Resolves to the job result. options: { onProgress, timeout } where
+  // timeout (ms) rejects the job if the host has not finished by then.
+  run(kind, payload = {}, { onProgress, timeout } = {}) {
+    if (!JOB_KINDS.includes(kind)) {
+      return Promise.reject(new Error(`Unknown job kind ${kind}`));
+    }
+
+    const jobId = `${this.prefix}-${this.nextId++}`;
+    return new Promise((resolve, reject) => {
+      const timer = timeout
+        ? setTimeout(() => this.settle(jobId, new Error(`${kind} job timed out after ${timeout}ms`)), timeout)
+        : null;
+      this.jobs.set(jobId, { resolve, reject, onProgress, timer });
+
+      Promise.resolve()
+        .then(() => this.send({ target: HOST_TARGET, type: 'job', jobId, kind, payload }))
+        .catch(error => this.settle(jobId, error));
+    });
+  }
+
+  // Feed every runtime message here; returns true if it belonged to a job
+  handleMessage(message) {
+    if (!message || message.target !== CLIENT_TARGET) return false;
+
+    const job = this.jobs.get(message.jobId);
+    if (!job) return true;
+
+    if (message.type === 'progress') {
+      if (job.onProgress) job.onProgress(message.progress);
+    } else if (message.type === 'done') {
+      this.settle(message.jobId, null, message.result);
+    } else if (message.type === 'error') {
+      this.settle(message.jobId, new Error(message.error));
+    }
+    return true;
+  }
+
+  // Fails every pending job, e.g. when the host document went away
+  rejectAll(error) {
+    [...this.jobs.keys()].forEach(jobId => this.settle(jobId, error));
+  }
+
+  settle(jobId, error, result) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    this.jobs.delete(jobId);
+    clearTimeout(job.timer);
+    if (error) job.reject(error);
+    else job.resolve(result);
+  }
+}
+
+// Host side: runs one job message with handlers[kind](payload, progress)
+// and posts progress, the result or the error back through post(message)
+export async function runJob(message, handlers, post) {
+  const { jobId, kind, payload } = message;
+  const reply = (type, fields) => post({ target: CLIENT_TARGET, type, jobId, ...fields });
+
+  try {
+    const handler = handlers[kind];
+    if (!handler) throw new Error(`Unknown job kind ${kind}`);
+    const result = await handler(payload || {}, progress => reply('progress', { progress }));
+    reply('done', { result });
+  } catch (error) {
+    reply('error', { error: error.message });
+  }
+}
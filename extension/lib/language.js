@@ -0,0 +1,109 @@
+// ========================================
+// language.js - Lightweight language identification
+// ========================================
+// Non-Latin scripts are identified by script alone. Latin-script text is
+// matched against short stopword profiles; a language wins when it covers
+// enough of the words and clearly beats the runner-up. Anything less certain
+// is 'und' (undetermined) so callers can fall back to a wider context or the
+// page's declared language instead of guessing.
+//
+// Detection runs per paragraph, since single sentences carry too few
+// stopwords to be reliable. The set of languages recognized here is wider
+// than the set with rule packs, so unsupported text is reported as such.
+
+const STOPWORDS = {
+  en: 'the and of to in is that it for was on are with as be this have not but by from they at or which an were has their will would there been can more its also into than them these could other',
+  de: 'der die das und ist nicht ein eine zu den von mit sich des auf für im dem auch es an als wird bei nach aus wie aber oder wenn noch nur sind wir ich sie',
+  es: 'el la de que y en los del las un por con una para es se no al lo como más pero sus le ya o este sí porque esta entre cuando muy sin sobre también',
+  fr: 'le la de et les des est un une du en que qui dans pour pas sur au plus par ne se ce il sont avec ou mais comme nous vous leur cette aussi été',
+  it: 'il di che la è e per un in non una sono del della le con si da al gli lo come anche ma più nel questo alla ha dei delle quando',
+  pt: 'o a de que e do da em um para é com não uma os no se na por mais as dos como mas ao ele das à seu sua ou quando muito também',
+  nl: 'de het een en van in is dat op te zijn met voor niet aan er om ook als bij maar door nog wel dan naar uit deze worden wordt'
+};
+
+const PROFILES = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words.split(' '))])
+);
+
+// Checked in order; Han text with kana is Japanese
+const SCRIPTS = [
+  { language: 'ja', regex: /[\p{Script=Hiragana}\p{Script=Katakana}]/u },
+  { language: 'ko', regex: /\p{Script=Hangul}/u },
+  { language: 'zh', regex: /\p{Script=Han}/u },
+  { language: 'ru', regex: /\p{Script=Cyrillic}/u },
+  { language: 'ar', regex: /\p{Script=Arabic}/u },
+  { language: 'he', regex: /\p{Script=Hebrew}/u },
+  { language: 'el', regex: /\p{Script=Greek}/u },
+  { language: 'hi', regex: /\p{Script=Devanagari}/u },
+  { language: 'th', regex: /\p{Script=Thai}/u }
+];
+
+export const UNDETERMINED = 'und';
+
+const MIN_WORDS = 4;
+const MIN_COVERAGE = 0.15;
+const MIN_MARGIN = 1.5;
+
+// Returns { language, confidence } with confidence in 0..1
+export function detectLanguage(text) {
+  const letters = text.match(/\p{L}/gu) || [];
+  if (!letters.length) return { language: UNDETERMINED, confidence: 0 };
+
+  // A script covering most letters decides outright
+  for (const { language, regex } of SCRIPTS) {
+    const share = letters.filter(ch => regex.test(ch)).length / letters.length;
+    if (share >= 0.3) return { language, confidence: round(Math.min(1, share * 1.5)) };
+  }
+
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < MIN_WORDS) return { language: UNDETERMINED, confidence: 0 };
+
+  const scores = Object.entries(PROFILES)
+    .map(([language, profile]) => [language, words.filter(w => profile.has(w)).length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[best, hits], [, runnerUp]] = scores;
+  const coverage = hits / words.length;
+
+  if (coverage < MIN_COVERAGE || hits < MIN_MARGIN * runnerUp) {
+    return { language: UNDETERMINED, confidence: round(coverage) };
+  }
+  return { language: best, confidence: round(Math.min(1, coverage * 2) * (1 - runnerUp / hits / 2)) };
+}
+
+// Stopword profile of a language, which doubles as its function-word list
+// for stylometry; null for languages without one
+export function functionWords(language) {
+  return PROFILES[language] || null;
+}
+
+// Primary subtag of a BCP 47 tag ("de-AT" -> "de"), or 'und'
+export function languageFromLocale(locale) {
+  const match = /^([a-z]{2,3})(?:[-_]|$)/i.exec(locale || '');
+  return match ? match[1].toLowerCase() : UNDETERMINED;
+}
+
+// Adds `language` to each segment ({ text, paragraph }) by detecting it on
+// the segment's paragraph. Paragraphs too short to tell fall back to the
+// language of the whole text, then to the page's declared locale.
+export function assignLanguages(segments, { locale } = {}) {
+  const paragraphs = new Map();
+  segments.forEach(segment => {
+    if (!paragraphs.has(segment.paragraph)) paragraphs.set(segment.paragraph, []);
+    paragraphs.get(segment.paragraph).push(segment.text);
+  });
+
+  const documentLanguage = detectLanguage(segments.map(s => s.text).join(' ')).language;
+  const fallback = documentLanguage !== UNDETERMINED ? documentLanguage : languageFromLocale(locale);
+
+  const languages = new Map();
+  paragraphs.forEach((texts, paragraph) => {
+    const { language } = detectLanguage(texts.join(' '));
+    languages.set(paragraph, language !== UNDETERMINED ? language : fallback);
+  });
+
+  return segments.map(segment => ({ ...segment, language: languages.get(segment.paragraph) }));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
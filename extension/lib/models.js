@@ -0,0 +1,153 @@
+// ========================================
+// models.js - Model profiles and detector model versions
+// ========================================
+// A model profile says how to run a model and how to read its output:
+//
+//   id         profile name recorded with every result the model scored
+//   model      HuggingFace model id loaded by Transformers.js. It needs
+//              ONNX weights (onnx/model_quantized.onnx); the default
+//              profile's repo has PyTorch weights only, so they are
+//              converted before bundling (see scripts/bundle-model.js)
+//   task       Transformers.js pipeline task, one of MODEL_TASKS
+//   labels     { ai, human }: the output labels meaning AI-generated and
+//              human-written. A model whose labels mean neither (e.g. a
+//              sentiment classifier) has labels null and scores nothing.
+//   transform  how the label's score becomes an AI probability:
+//              'identity', or { type: 'platt', a, b } to recalibrate it as
+//              sigmoid(a * logit(p) + b)
+//   maxLength  longest input in tokens; longer sentences are truncated
+//
+// A model version is what the backend registry (GET /api/models/active)
+// activates: a version id, the profile it runs (a MODEL_PROFILES name or an
+// inline profile object) and optional {high, medium} thresholds overriding
+// the calibrated cut-offs. DEFAULT_MODEL is used until the registry has been
+// reached. Older versions carry `model` and `labels` (label -> 'ai' |
+// 'human') instead of a profile; resolveProfile still reads them.
+
+export const MODEL_TASKS = ['text-classification'];
+
+export const MODEL_PROFILES = {
+  'chatgpt-detector-roberta': {
+    id: 'chatgpt-detector-roberta',
+    model: 'Hello-SimpleAI/chatgpt-detector-roberta',
+    task: 'text-classification',
+    labels: { ai: 'ChatGPT', human: 'Human' },
+    transform: 'identity',
+    maxLength: 512
+  },
+  // The original placeholder: a sentiment classifier, so POSITIVE and
+  // NEGATIVE say nothing about who wrote the text
+  'sst2-sentiment': {
+    id: 'sst2-sentiment',
+    model: 'Xenova/distilbert-base-uncased-finetuned-sst-2-english',
+    task: 'text-classification',
+    labels: null,
+    transform: 'identity',
+    maxLength: 512
+  }
+};
+
+export const DEFAULT_PROFILE = 'chatgpt-detector-roberta';
+
+export const DEFAULT_MODEL = {
+  id: 'chatgpt-roberta-v1',
+  profile: DEFAULT_PROFILE,
+  thresholds: null,
+  released_at: '2024-06-01T00:00:00.000Z',
+  active: true
+};
+
+// The profile a model version runs, or null if it names an unknown one
+export function resolveProfile(modelVersion) {
+  if (!modelVersion) return null;
+  const { profile } = modelVersion;
+  if (typeof profile === 'string') return MODEL_PROFILES[profile] || null;
+  if (profile && typeof profile === 'object') return profile;
+
+  // Legacy version: a built-in profile for the same model wins over its
+  // own label mapping
+  const builtIn = Object.values(MODEL_PROFILES).find(p => p.model === modelVersion.model);
+  if (builtIn) return builtIn;
+  if (!modelVersion.model) return null;
+
+  const meanings = Object.entries(modelVersion.labels || {});
+  const labelFor = meaning => (meanings.find(([, m]) => m === meaning) || [])[0];
+  return {
+    id: modelVersion.id,
+    model: modelVersion.model,
+    task: 'text-classification',
+    labels: labelFor('ai') && labelFor('human') ? { ai: labelFor('ai'), human: labelFor('human') } : null,
+    transform: 'identity',
+    maxLength: 512
+  };
+}
+
+// Whether the profile's output can be read as an AI probability at all
+export function profileDetects(profile) {
+  return !!(profile && profile.labels);
+}
+
+// Probability that the text is AI-generated according to the model, given
+// its top prediction. Null when the label is neither the AI nor the human
+// label, so the model is left out of the ensemble for that sentence.
+export function modelScoreFor(prediction, profile) {
+  if (!profileDetects(profile)) return null;
+
+  let probability;
+  if (prediction.label === profile.labels.ai) probability = prediction.score;
+  else if (prediction.label === profile.labels.human) probability = 1 - prediction.score;
+  else return null;
+
+  return applyTransform(probability, profile.transform);
+}
+
+// modelScoreFor over a classify output (see lib/inference-jobs.js): the
+// mean across its chunks when the text was split, null if none scored
+export function modelScoreForOutput(output, profile) {
+  const scores = (output.chunks || [output])
+    .map(prediction => modelScoreFor(prediction, profile))
+    .filter(score => score !== null);
+  return scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+}
+
+function applyTransform(probability, transform) {
+  if (!transform || transform === 'identity') return probability;
+  if (transform.type === 'platt') {
+    const p = Math.min(1 - 1e-6, Math.max(1e-6, probability));
+    const logit = Math.log(p / (1 - p));
+    return 1 / (1 + Math.exp(-(transform.a * logit + transform.b)));
+  }
+  throw new Error(`Unknown score transform ${JSON.stringify(transform)}`);
+}
+
+// Returns a list of {field, message} for an inline profile; empty when valid
+export function validateProfile(profile, prefix = 'profile') {
+  const errors = [];
+  const error = (field, message) => errors.push({ field: `${prefix}.${field}`, message });
+
+  if (typeof profile.id !== 'string' || !/^[\w.-]{1,64}$/.test(profile.id)) {
+    error('id', 'must be 1-64 letters, digits, dots, dashes or underscores');
+  }
+  if (typeof profile.model !== 'string' || !profile.model) {
+    error('model', 'must be a HuggingFace model id');
+  }
+  if (!MODEL_TASKS.includes(profile.task)) {
+    error('task', `must be one of ${MODEL_TASKS.join(', ')}`);
+  }
+  if (profile.labels !== null) {
+    const { ai, human } = profile.labels || {};
+    if (typeof ai !== 'string' || typeof human !== 'string' || !ai || !human || ai === human) {
+      error('labels', 'must be {ai, human} naming two different model labels, or null');
+    }
+  }
+  const { transform } = profile;
+  const platt = transform && transform.type === 'platt' &&
+    Number.isFinite(transform.a) && Number.isFinite(transform.b);
+  if (transform !== 'identity' && !platt) {
+    error('transform', 'must be "identity" or {type: "platt", a, b}');
+  }
+  if (!Number.isInteger(profile.maxLength) || profile.maxLength < 1 || profile.maxLength > 4096) {
+    error('maxLength', 'must be an integer from 1 to 4096');
+  }
+  return errors;
+}
@@ -0,0 +1,109 @@
+// ========================================
+// redact.js - PII scrubbing for shared feedback
+// ========================================
+// Runs in the extension before feedback leaves the device and again on the
+// backend before anything is stored. Matches are replaced with a bracketed
+// placeholder so the sentence keeps its shape for training.
+//
+// Name detection is pattern based (honorifics and self-introductions), not
+// NER; it catches the common cases without masking ordinary capitalized words.
+
+const PATTERNS = [
+  {
+    type: 'email',
+    placeholder: '[EMAIL]',
+    regex: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+  },
+  {
+    type: 'url',
+    placeholder: '[URL]',
+    regex: /\b(?:https?:\/\/|www\.)[^\s<>"]+[^\s<>".,;:!?)\]]/gi
+  },
+  {
+    type: 'card',
+    placeholder: '[CARD]',
+    regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+    accept: match => luhnValid(match.replace(/\D/g, ''))
+  },
+  {
+    type: 'phone',
+    placeholder: '[PHONE]',
+    regex: /(?<![\w+.,/])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,3}(?!\d)/g,
+    accept: looksLikePhone
+  },
+  {
+    type: 'name',
+    placeholder: '$1[NAME]',
+    regex: /\b((?:Mr|Mrs|Ms|Mx|Dr|Prof)\.?\s+)[A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?/g
+  },
+  {
+    type: 'name',
+    placeholder: '$1[NAME]',
+    regex: /\b((?:[Mm]y name is|[Cc]all me)\s+)[A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?/g
+  }
+];
+
+// Returns { text, redactions } where redactions counts matches per type
+export function redactPII(text) {
+  const redactions = {};
+  let result = text;
+
+  PATTERNS.forEach(({ type, placeholder, regex, accept }) => {
+    result = result.replace(regex, (match, ...groups) => {
+      if (accept && !accept(match)) return match;
+      redactions[type] = (redactions[type] || 0) + 1;
+      return placeholder.replace('$1', typeof groups[0] === 'string' ? groups[0] : '');
+    });
+  });
+
+  return { text: result, redactions };
+}
+
+// Text-free description of a sentence, sent instead of the text in
+// hash-only mode so the backend can still learn from it
+export function textFeatures(text) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const letters = text.replace(/[^A-Za-z]/g, '');
+
+  return {
+    length: text.length,
+    tokens: tokens.length,
+    avgTokenLength: tokens.length ? round(tokens.reduce((n, t) => n + t.length, 0) / tokens.length) : 0,
+    punctuation: (text.match(/[.,;:!?'"()-]/g) || []).length,
+    digits: (text.match(/\d/g) || []).length,
+    uppercaseRatio: letters.length ? round((letters.match(/[A-Z]/g) || []).length / letters.length) : 0
+  };
+}
+
+// Dates written with separators (12.05.2023, 2023-05-12)
+const DATE = /^(?:\d{1,2}([./-])\d{1,2}\1(?:\d{2}|\d{4})|\d{4}([./-])\d{1,2}\2\d{1,2})$/;
+const YEAR = /^(?:1[89]|20)\d\d$/;
+
+// A digit run is only taken for a phone number when it has a phone's shape:
+// 7 to 15 digits, and either a leading + or at least two separated groups.
+// Dates and runs of years ("1990 2000 2010") are left alone.
+function looksLikePhone(match) {
+  const digits = match.replace(/\D/g, '').length;
+  if (digits < 7 || digits > 15) return false;
+  if (match.startsWith('+')) return true;
+
+  const groups = match.split(/[\s.()-]+/).filter(Boolean);
+  return groups.length >= 2 && !DATE.test(match) && !groups.every(group => YEAR.test(group));
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
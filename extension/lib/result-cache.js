@@ -0,0 +1,120 @@
+// ========================================
+// result-cache.js - Content-hash cache for sentence results
+// ========================================
+// Keys are the SHA-256 of the normalized sentence, so the same sentence on
+// any page shares one entry. Each entry records the ruleset and model
+// versions that produced it, and optionally the detector setup (e.g. the
+// ensemble weights); a lookup under different versions discards the entry
+// instead of returning a stale score. Entries also expire after a TTL
+// and the least recently used ones are evicted once the cache is full.
+//
+// The cache itself is in-memory. The extension persists it to
+// chrome.storage between service worker restarts via toJSON()/load().
+
+export const DEFAULT_MAX_ENTRIES = 5000;
+export const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000;
+
+export function normalizeSentence(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+// Web Crypto is available both in the service worker and in Node 18+
+export async function hashSentence(text) {
+  const bytes = new TextEncoder().encode(normalizeSentence(text));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export class ResultCache {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, ttl = DEFAULT_TTL } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.entries = new Map();
+    this.counters = { hits: 0, misses: 0, stale: 0, expired: 0, evictions: 0 };
+  }
+
+  // versions: { rulesetVersion, modelVersion, detectors }, detectors optional
+  get(key, versions) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.counters.misses++;
+      return null;
+    }
+    if (Date.now() - entry.timestamp > this.ttl) {
+      this.entries.delete(key);
+      this.counters.expired++;
+      this.counters.misses++;
+      return null;
+    }
+    if (!sameVersions(entry, versions)) {
+      this.entries.delete(key);
+      this.counters.stale++;
+      this.counters.misses++;
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.counters.hits++;
+    return entry.value;
+  }
+
+  set(key, value, versions) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      rulesetVersion: versions.rulesetVersion,
+      modelVersion: versions.modelVersion,
+      detectors: versions.detectors,
+      timestamp: Date.now()
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.counters.evictions++;
+    }
+  }
+
+  // Drop everything that is expired or was produced under other versions.
+  // versions.rulesetVersion may be a list when several rule packs are current.
+  prune(versions) {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (now - entry.timestamp > this.ttl || !sameVersions(entry, versions)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  stats() {
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      ...this.counters,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hitRate: lookups ? this.counters.hits / lookups : null
+    };
+  }
+
+  toJSON() {
+    return { entries: [...this.entries], counters: this.counters };
+  }
+
+  load(data) {
+    if (!data) return;
+    this.entries = new Map(data.entries || []);
+    this.counters = { ...this.counters, ...data.counters };
+  }
+}
+
+function sameVersions(entry, versions) {
+  return [].concat(versions.rulesetVersion).includes(entry.rulesetVersion) &&
+    entry.modelVersion === versions.modelVersion &&
+    entry.detectors === versions.detectors;
+}
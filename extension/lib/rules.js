@@ -0,0 +1,172 @@
+// ========================================
+// rules.js - Rules engine for the heuristic scorer
+// ========================================
+// Rulesets live in extension/rules/<language>.json, one rule pack per
+// language, so they can be tuned without touching scoring code. Text in a
+// language without a pack is reported as unsupported rather than scored
+// (see unsupportedResult in scoring.js). Each rule has an id, a pattern type, a weight that
+// is added to the probability when it matches, and a label describing it:
+//
+//   phrase        case-insensitive substring match on `pattern`
+//   regex         `pattern` compiled with optional `flags`
+//   token-length  word count between `min` and `max` (either may be omitted)
+//   feature       stylometric `feature` ("sentence.typeTokenRatio",
+//                 "paragraph.burstiness", see stylometry.js) between `min`
+//                 and `max`; never fires when the feature is unavailable
+//
+// A pack's optional model_weight (default 0) adds modelScore × weight when a
+// caller passes a model score in. The extension combines the model with the
+// rules in the detector ensemble instead (see detectors.js).
+
+import { SENTENCE_FEATURES, PARAGRAPH_FEATURES } from './stylometry.js';
+
+export const RULE_TYPES = ['phrase', 'regex', 'token-length', 'feature'];
+
+const FEATURE_SCOPES = { sentence: SENTENCE_FEATURES, paragraph: PARAGRAPH_FEATURES };
+
+// Validate a parsed ruleset file and compile its patterns.
+// Throws with every problem listed so a bad edit is easy to fix.
+export function compileRuleset(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Invalid ruleset: must be a JSON object');
+  }
+  if (typeof raw.ruleset_version !== 'string' || !raw.ruleset_version) {
+    errors.push('ruleset_version must be a non-empty string');
+  }
+  if (!Array.isArray(raw.rules)) {
+    errors.push('rules must be an array');
+  }
+
+  const seen = new Set();
+  const rules = (Array.isArray(raw.rules) ? raw.rules : []).map((rule, index) => {
+    const where = `rules[${index}]${rule && rule.id ? ` (${rule.id})` : ''}`;
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+      errors.push(`${where}: id must be a non-empty string`);
+    } else if (seen.has(rule.id)) {
+      errors.push(`${where}: duplicate id`);
+    } else {
+      seen.add(rule.id);
+    }
+    if (typeof rule.weight !== 'number' || !Number.isFinite(rule.weight)) {
+      errors.push(`${where}: weight must be a number`);
+    }
+    if (typeof rule.label !== 'string' || !rule.label) {
+      errors.push(`${where}: label must be a non-empty string`);
+    }
+
+    try {
+      return { id: rule.id, label: rule.label, weight: rule.weight, test: compileMatcher(rule) };
+    } catch (error) {
+      errors.push(`${where}: ${error.message}`);
+      return null;
+    }
+  });
+
+  if (errors.length) {
+    throw new Error(`Invalid ruleset:\n  ${errors.join('\n  ')}`);
+  }
+
+  return {
+    version: raw.ruleset_version,
+    language: raw.language || null,
+    baseProbability: raw.base_probability ?? 0.3,
+    modelWeight: raw.model_weight ?? 0,
+    rules
+  };
+}
+
+// Compile one rule pack per language (see rules/*.json).
+// Returns a Map of language -> compiled ruleset.
+export function compileRulePacks(rawPacks) {
+  const packs = new Map();
+
+  rawPacks.forEach(raw => {
+    const ruleset = compileRuleset(raw);
+    if (!ruleset.language) {
+      throw new Error(`Invalid ruleset ${ruleset.version}: rule packs need a language`);
+    }
+    if (packs.has(ruleset.language)) {
+      throw new Error(`Duplicate rule pack for language ${ruleset.language}`);
+    }
+    packs.set(ruleset.language, ruleset);
+  });
+
+  return packs;
+}
+
+// Apply every rule to a sentence. features is the sentence's
+// stylometricFeatures() result, if computed.
+// Returns the clamped probability and the rules that fired.
+export function evaluateRules(ruleset, text, modelScore = 0, features = null) {
+  const context = {
+    text,
+    lowerText: text.toLowerCase(),
+    tokenCount: text.split(' ').length,
+    features
+  };
+
+  let probability = ruleset.baseProbability;
+  const matches = [];
+
+  ruleset.rules.forEach(rule => {
+    if (rule.test(context)) {
+      probability += rule.weight;
+      matches.push({ id: rule.id, label: rule.label });
+    }
+  });
+
+  // Incorporate model score (weighted)
+  probability += modelScore * ruleset.modelWeight;
+
+  return {
+    probability: Math.min(Math.max(probability, 0), 1),
+    matches
+  };
+}
+
+function compileMatcher(rule) {
+  switch (rule.type) {
+    case 'phrase': {
+      if (typeof rule.pattern !== 'string' || !rule.pattern) {
+        throw new Error('phrase rules need a non-empty pattern');
+      }
+      const phrase = rule.pattern.toLowerCase();
+      return ({ lowerText }) => lowerText.includes(phrase);
+    }
+    case 'regex': {
+      if (typeof rule.pattern !== 'string' || !rule.pattern) {
+        throw new Error('regex rules need a non-empty pattern');
+      }
+      // Drop g/y so test() stays stateless across sentences
+      const regex = new RegExp(rule.pattern, (rule.flags || '').replace(/[gy]/g, ''));
+      return ({ text }) => regex.test(text);
+    }
+    case 'token-length': {
+      const min = rule.min ?? 0;
+      const max = rule.max ?? Infinity;
+      if (typeof min !== 'number' || typeof max !== 'number') {
+        throw new Error('token-length rules need numeric min/max');
+      }
+      return ({ tokenCount }) => tokenCount >= min && tokenCount <= max;
+    }
+    case 'feature': {
+      const [scope, name] = String(rule.feature).split('.');
+      if (!FEATURE_SCOPES[scope] || !FEATURE_SCOPES[scope].includes(name)) {
+        throw new Error('feature rules need a feature like sentence.typeTokenRatio or paragraph.burstiness');
+      }
+      const min = rule.min ?? -Infinity;
+      const max = rule.max ?? Infinity;
+      if (typeof min !== 'number' || typeof max !== 'number' || (rule.min === undefined && rule.max === undefined)) {
+        throw new Error('feature rules need a numeric min and/or max');
+      }
+      return ({ features }) => {
+        const value = features ? features[scope][name] : null;
+        return value !== null && value !== undefined && value >= min && value <= max;
+      };
+    }
+    default:
+      throw new Error(`type must be one of ${RULE_TYPES.join(', ')}`);
+  }
+}
@@ -0,0 +1,105 @@
+// ========================================
+// scoring.js - Heuristic scoring shared by the extension and the backend
+// ========================================
+// Plain ES module with no browser or Node APIs, so the service worker
+// imports it directly and backend/server.js imports it from ../extension/lib.
+// The heuristics themselves come from a compiled ruleset (see rules.js),
+// evaluated against the sentence and its stylometric features (see
+// stylometry.js).
+
+import { evaluateRules } from './rules.js';
+import { segmentSentences } from './segmenter.js';
+import { assignLanguages } from './language.js';
+import { stylometricFeatures } from './stylometry.js';
+
+// In Latin-script characters; CJK characters count three times since one
+// carries about as much as a short word
+export const MIN_SENTENCE_LENGTH = 15;
+
+export const DEFAULT_THRESHOLDS = {
+  high: 0.7,
+  medium: 0.4
+};
+
+// Level for sentences in a language without a rule pack
+export const UNSUPPORTED_LEVEL = 'unsupported';
+
+// Sentences worth scoring, as { text, start, end, paragraph, language,
+// features } with offsets into text, the language detected for the
+// paragraph and stylometric features. Paragraph features cover every
+// sentence of the paragraph, including those too short to score.
+// options: { locale } - BCP 47 tag of the page language, if known
+export function sentenceSegments(text, options = {}) {
+  const all = segmentSentences(text, options);
+  const paragraphs = new Map();
+  all.forEach(segment => {
+    if (!paragraphs.has(segment.paragraph)) paragraphs.set(segment.paragraph, []);
+    paragraphs.get(segment.paragraph).push(segment.text);
+  });
+
+  const segments = all.filter(segment => sentenceLength(segment.text) >= MIN_SENTENCE_LENGTH);
+  const paragraphCache = new Map();
+  return assignLanguages(segments, options).map(segment => {
+    const features = stylometricFeatures(segment.text, paragraphs.get(segment.paragraph), segment.language, {
+      paragraphFeatures: paragraphCache.get(segment.paragraph)
+    });
+    paragraphCache.set(segment.paragraph, features.paragraph);
+    return { ...segment, features };
+  });
+}
+
+function sentenceLength(text) {
+  const wide = (text.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu) || []).length;
+  return text.length + wide * 2;
+}
+
+export function probabilityToLevel(probability, thresholds = DEFAULT_THRESHOLDS) {
+  if (probability > thresholds.high) return 'high';
+  if (probability > thresholds.medium) return 'medium';
+  return 'low';
+}
+
+// Result for a sentence no rule pack covers: no probability, so it never
+// counts towards levels, verdicts or stats
+export function unsupportedResult(text, language) {
+  return { text, language, probability: null, level: UNSUPPORTED_LEVEL, rules: [] };
+}
+
+// Build the per-sentence result record used everywhere downstream.
+// features (from sentenceSegments) feed the feature rules and are carried
+// on the result.
+export function scoreSentence(text, { ruleset, modelScore = 0, thresholds = DEFAULT_THRESHOLDS, features = null }) {
+  const { probability, matches } = evaluateRules(ruleset, text, modelScore, features);
+  return {
+    text,
+    probability,
+    level: probabilityToLevel(probability, thresholds),
+    rules: matches.map(m => m.id),
+    features
+  };
+}
+
+// Document-level summary of a list of sentence results.
+// Unsupported sentences are only counted.
+export function summarizeResults(results, thresholds = DEFAULT_THRESHOLDS) {
+  const counts = { high: 0, medium: 0, low: 0, unsupported: 0 };
+  const scored = results.filter(r => r.probability !== null);
+  let total = 0;
+  let max = 0;
+
+  results.forEach(r => { counts[r.level]++; });
+  scored.forEach(r => {
+    total += r.probability;
+    max = Math.max(max, r.probability);
+  });
+
+  const mean = scored.length ? total / scored.length : 0;
+
+  return {
+    sentences: results.length,
+    meanProbability: mean,
+    maxProbability: max,
+    counts,
+    level: scored.length ? probabilityToLevel(mean, thresholds) : null
+  };
+}
@@ -0,0 +1,135 @@
+// ========================================
+// segmenter.js - Sentence segmentation with character offsets
+// ========================================
+// Every line break is a paragraph boundary: the content script joins DOM
+// blocks (paragraphs, headings, list items) with newlines, so a heading or
+// list item without terminal punctuation still becomes its own sentence and
+// the last sentence of a paragraph is never dropped.
+//
+// Within a paragraph, Intl.Segmenter does the locale-aware work (CJK
+// terminators, quotes, decimals). Where it is unavailable a punctuation
+// scanner stands in. Both are followed by a pass that re-joins splits after
+// common abbreviations ("Dr.", "e.g.") and before a lowercase continuation.
+//
+// Offsets are UTF-16 indexes into the original text: text.slice(start, end)
+// is exactly the sentence.
+
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'mx', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'ft',
+  'vs', 'etc', 'e.g', 'i.e', 'cf', 'al', 'approx', 'inc', 'ltd', 'corp',
+  'fig', 'vol', 'pp', 'ch', 'sec', 'dept', 'gen', 'gov', 'sen', 'rep',
+  'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+  // German, French, Spanish
+  'z.b', 'u.a', 'bzw', 'usw', 'nr', 'hr', 'fr', 'mme', 'mlle', 'sra', 'sres', 'ud', 'uds'
+]);
+
+// Terminal punctuation, optionally followed by closing quotes or brackets
+const FALLBACK_BOUNDARY = /[.!?…]+["'”’)\]]*(?=\s|$)|[。！？]+["'”’」』)\]]*/g;
+
+const segmenters = new Map();
+
+// Returns [{ text, start, end, paragraph }] in document order, where
+// paragraph numbers the non-blank lines; blank text yields []
+export function segmentSentences(text, { locale } = {}) {
+  const sentences = [];
+  const paragraphs = /[^\n]+/g;
+  let paragraphIndex = -1;
+  let match;
+
+  while ((match = paragraphs.exec(text))) {
+    if (!match[0].trim()) continue;
+    paragraphIndex++;
+    const paragraph = match[0];
+    const ranges = mergeContinuations(paragraph, rawSegments(paragraph, locale));
+
+    ranges.forEach(({ start, end }) => {
+      const trimmed = trimRange(paragraph, start, end);
+      if (!trimmed) return;
+      sentences.push({
+        text: paragraph.slice(trimmed.start, trimmed.end),
+        start: match.index + trimmed.start,
+        end: match.index + trimmed.end,
+        paragraph: paragraphIndex
+      });
+    });
+  }
+
+  return sentences;
+}
+
+function rawSegments(paragraph, locale) {
+  const segmenter = getSegmenter(locale);
+  if (!segmenter) return fallbackSegments(paragraph);
+
+  return Array.from(segmenter.segment(paragraph), ({ segment, index }) => ({
+    start: index,
+    end: index + segment.length
+  }));
+}
+
+function getSegmenter(locale) {
+  if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null;
+
+  const key = locale || '';
+  if (!segmenters.has(key)) {
+    let segmenter;
+    try {
+      segmenter = new Intl.Segmenter(locale || undefined, { granularity: 'sentence' });
+    } catch (error) {
+      // Malformed locale tag from the page; use the default locale
+      segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+    }
+    segmenters.set(key, segmenter);
+  }
+  return segmenters.get(key);
+}
+
+function fallbackSegments(paragraph) {
+  const ranges = [];
+  let start = 0;
+  let match;
+
+  FALLBACK_BOUNDARY.lastIndex = 0;
+  while ((match = FALLBACK_BOUNDARY.exec(paragraph))) {
+    const end = match.index + match[0].length;
+    ranges.push({ start, end });
+    start = end;
+  }
+  if (start < paragraph.length) ranges.push({ start, end: paragraph.length });
+
+  return ranges;
+}
+
+// Joins a range with the next one when the split was after an abbreviation
+// or an initial, or when the next range starts in lowercase
+function mergeContinuations(paragraph, ranges) {
+  const merged = [];
+
+  ranges.forEach(range => {
+    const previous = merged[merged.length - 1];
+    if (previous && isContinuation(paragraph, previous, range)) {
+      previous.end = range.end;
+    } else {
+      merged.push({ ...range });
+    }
+  });
+
+  return merged;
+}
+
+function isContinuation(paragraph, previous, next) {
+  const before = paragraph.slice(previous.start, previous.end).trimEnd();
+  const after = paragraph.slice(next.start, next.end).trimStart();
+
+  if (/^\p{Ll}/u.test(after)) return true;
+  if (!before.endsWith('.')) return false;
+
+  const word = before.slice(0, -1).split(/\s+/).pop().replace(/^["'“‘(\[]+/, '').toLowerCase();
+  return ABBREVIATIONS.has(word) || /^\p{L}$/u.test(word);
+}
+
+function trimRange(paragraph, start, end) {
+  while (start < end && /\s/.test(paragraph[start])) start++;
+  while (end > start && /\s/.test(paragraph[end - 1])) end--;
+  return start < end ? { start, end } : null;
+}
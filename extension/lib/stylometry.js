@@ -0,0 +1,146 @@
+// ========================================
+// stylometry.js - Stylometric features for sentences and paragraphs
+// ========================================
+// Signals commonly used to tell generated text from human writing. Each
+// sentence gets its own features plus those of the paragraph it sits in,
+// since some signals only exist across sentences (a single sentence has no
+// length variance):
+//
+//   tokens              word count
+//   meanWordLength      letters per word
+//   typeTokenRatio      distinct words / words; for paragraphs a moving
+//                       average over TTR_WINDOW-word windows so long and
+//                       short paragraphs stay comparable
+//   functionWordRatio   share of function words for the language, null when
+//                       there is no profile for it
+//   punctuationDensity  punctuation marks per word
+//   repeatedNgrams      share of word n-grams (bigrams in a sentence,
+//                       trigrams in a paragraph) that occur more than once
+//   fleschReadingEase   Flesch reading ease; syllables are vowel groups, so
+//   fleschKincaidGrade  scores outside English are only roughly comparable
+//   burstiness          paragraph only: coefficient of variation of sentence
+//                       lengths, null with fewer than MIN_BURSTINESS_SENTENCES
+//   sentences           paragraph only: sentence count
+//
+// Rules reference these as "sentence.<name>" or "paragraph.<name>" (see the
+// feature rule type in rules.js). Values are rounded to three decimals.
+
+import { functionWords } from './language.js';
+
+export const SENTENCE_FEATURES = [
+  'tokens', 'meanWordLength', 'typeTokenRatio', 'functionWordRatio',
+  'punctuationDensity', 'repeatedNgrams', 'fleschReadingEase', 'fleschKincaidGrade'
+];
+
+export const PARAGRAPH_FEATURES = [...SENTENCE_FEATURES, 'burstiness', 'sentences'];
+
+const TTR_WINDOW = 25;
+const MIN_BURSTINESS_SENTENCES = 3;
+
+// Features of one sentence given the sentences of its paragraph (which
+// should include it). Returns { sentence, paragraph }; pass
+// options.paragraphFeatures to reuse those already computed for a sibling.
+export function stylometricFeatures(sentence, paragraphSentences, language, options = {}) {
+  return {
+    sentence: sentenceFeatures(sentence, language),
+    paragraph: options.paragraphFeatures || paragraphFeatures(paragraphSentences, language)
+  };
+}
+
+export function sentenceFeatures(text, language) {
+  const words = wordsOf(text);
+  return {
+    ...commonFeatures(text, words, 1, language),
+    typeTokenRatio: words.length ? round(new Set(words).size / words.length) : null,
+    repeatedNgrams: repeatedNgramShare(words, 2)
+  };
+}
+
+export function paragraphFeatures(sentences, language) {
+  const text = sentences.join(' ');
+  const words = wordsOf(text);
+  const lengths = sentences.map(s => wordsOf(s).length);
+
+  return {
+    ...commonFeatures(text, words, sentences.length, language),
+    typeTokenRatio: movingTypeTokenRatio(words),
+    repeatedNgrams: repeatedNgramShare(words, 3),
+    burstiness: sentences.length >= MIN_BURSTINESS_SENTENCES ? round(coefficientOfVariation(lengths)) : null,
+    sentences: sentences.length
+  };
+}
+
+function commonFeatures(text, words, sentenceCount, language) {
+  const profile = functionWords(language);
+  const letters = words.reduce((sum, w) => sum + w.length, 0);
+  const punctuation = (text.match(/\p{P}/gu) || []).length;
+
+  return {
+    tokens: words.length,
+    meanWordLength: words.length ? round(letters / words.length) : null,
+    functionWordRatio: profile && words.length ? round(words.filter(w => profile.has(w)).length / words.length) : null,
+    punctuationDensity: words.length ? round(punctuation / words.length) : null,
+    ...readability(words, sentenceCount, language)
+  };
+}
+
+function wordsOf(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu) || [];
+}
+
+function movingTypeTokenRatio(words) {
+  if (!words.length) return null;
+  if (words.length <= TTR_WINDOW) return round(new Set(words).size / words.length);
+
+  let total = 0;
+  const windows = words.length - TTR_WINDOW + 1;
+  for (let i = 0; i < windows; i++) {
+    total += new Set(words.slice(i, i + TTR_WINDOW)).size / TTR_WINDOW;
+  }
+  return round(total / windows);
+}
+
+function repeatedNgramShare(words, n) {
+  if (words.length < n) return null;
+
+  const counts = new Map();
+  for (let i = 0; i + n <= words.length; i++) {
+    const gram = words.slice(i, i + n).join(' ');
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+  let repeated = 0;
+  counts.forEach(count => { if (count > 1) repeated += count; });
+  return round(repeated / (words.length - n + 1));
+}
+
+function readability(words, sentenceCount, language) {
+  if (!words.length || !sentenceCount) {
+    return { fleschReadingEase: null, fleschKincaidGrade: null };
+  }
+  const syllables = words.reduce((sum, w) => sum + syllableCount(w, language), 0);
+  const wordsPerSentence = words.length / sentenceCount;
+  const syllablesPerWord = syllables / words.length;
+
+  return {
+    fleschReadingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+    fleschKincaidGrade: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59)
+  };
+}
+
+// Vowel groups, ignoring a silent final "e" in English; at least one per word
+function syllableCount(word, language) {
+  const stem = language === 'en' ? word.replace(/(?<=[^aeiouy])e$/, '') : word;
+  const groups = stem.match(/[aeiouyäöüáéíóúàèìòùâêîôûãõ]+/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+function coefficientOfVariation(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  if (!mean) return 0;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance) / mean;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,48 @@
+// ========================================
+// verdict-text.js - Wording for page verdicts
+// ========================================
+// Shared by the popup and the content script, so both describe a verdict
+// and a partial analysis the same way. Content scripts cannot import
+// statically; content.js loads this module with import() (it is listed
+// under web_accessible_resources), so it must not import anything itself.
+
+export const VERDICT_LABELS = {
+  high: 'Likely AI-generated',
+  medium: 'Possibly AI-generated',
+  low: 'Likely human-written',
+  unsupported: 'Unsupported language'
+};
+
+// Why an analysis ended early: the page budget (see budget.js) or Stop
+const PARTIAL_REASONS = { time: 'time limit', sentences: 'sentence limit', stopped: 'stopped' };
+
+const percent = value => `${Math.round(value * 100)}%`;
+
+// "English 80% · German 20%" from language -> share entries; format turns
+// each value into text, e.g. for counts instead of shares
+export function describeLanguages(languages, format = percent) {
+  let names = null;
+  try {
+    names = new Intl.DisplayNames([navigator.language], { type: 'language' });
+  } catch (error) {
+    // Fall back to the bare language codes
+  }
+  return Object.entries(languages)
+    .sort((a, b) => b[1] - a[1])
+    .map(([code, value]) => `${(names && code !== 'und' && names.of(code)) || code} ${format(value)}`)
+    .join(' · ');
+}
+
+// "Partial: 120 sentences not analyzed (time limit)"
+export function describePartial(partial) {
+  return `Partial: ${partial.skipped} sentence${partial.skipped === 1 ? '' : 's'} not analyzed ` +
+    `(${PARTIAL_REASONS[partial.reason] || partial.reason})`;
+}
+
+// The notification for an analysis that ended without a verdict, as
+// { message, type }
+export function describeNoVerdict(partial) {
+  return partial && partial.reason === 'stopped'
+    ? { message: 'Analysis stopped before any sentence was scored', type: 'info' }
+    : { message: 'No sentences long enough to analyze', type: 'warning' };
+}
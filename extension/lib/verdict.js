@@ -0,0 +1,97 @@
+// ========================================
+// verdict.js - Page-level verdict from sentence results
+// ========================================
+// Sentences are weighted by length so a page is judged by how much of its
+// text looks generated, not by how many short fragments it has.
+//
+//   aiLikelihood        length-weighted mean probability
+//   share               fraction of characters at each level, including
+//                       'unsupported' for languages without a rule pack
+//   languages           fraction of characters per detected language
+//   longestFlaggedRun   longest run of consecutive medium/high sentences
+//   confidenceInterval  95% normal interval for aiLikelihood, using the
+//                       effective sample size of the weights; null with
+//                       fewer than two scored sentences
+//
+// Only scored sentences count towards aiLikelihood. When none were scored
+// the level is 'unsupported' and aiLikelihood is null.
+
+import { DEFAULT_THRESHOLDS, UNSUPPORTED_LEVEL, probabilityToLevel } from './scoring.js';
+
+const Z_95 = 1.96;
+
+export function documentVerdict(results, thresholds = DEFAULT_THRESHOLDS) {
+  if (!results.length) return null;
+
+  const characters = results.reduce((sum, r) => sum + r.text.length, 0);
+  const share = { high: 0, medium: 0, low: 0, unsupported: 0 };
+  const languages = {};
+  results.forEach(r => {
+    share[r.level] += r.text.length / characters;
+    const language = r.language || 'und';
+    languages[language] = (languages[language] || 0) + r.text.length / characters;
+  });
+
+  const scored = results.filter(r => r.probability !== null);
+  const weights = scored.map(r => r.text.length);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const mean = scored.length
+    ? scored.reduce((sum, r, i) => sum + r.probability * weights[i], 0) / total
+    : null;
+
+  return {
+    sentences: scored.length,
+    unsupportedSentences: results.length - scored.length,
+    characters,
+    aiLikelihood: mean === null ? null : round(mean),
+    level: mean === null ? UNSUPPORTED_LEVEL : probabilityToLevel(mean, thresholds),
+    confidenceInterval: mean === null ? null : confidenceInterval(scored, weights, mean),
+    share: Object.fromEntries(Object.entries(share).map(([level, value]) => [level, round(value)])),
+    languages: Object.fromEntries(Object.entries(languages).map(([language, value]) => [language, round(value)])),
+    longestFlaggedRun: longestFlaggedRun(results)
+  };
+}
+
+function confidenceInterval(results, weights, mean) {
+  if (results.length < 2) return null;
+
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const squares = weights.reduce((sum, w) => sum + w * w, 0);
+  const variance = results.reduce((sum, r, i) => sum + weights[i] * (r.probability - mean) ** 2, 0) / total;
+  const effectiveN = total * total / squares;
+  const margin = Z_95 * Math.sqrt(variance / effectiveN);
+
+  return {
+    lower: round(Math.max(0, mean - margin)),
+    upper: round(Math.min(1, mean + margin)),
+    confidence: 0.95
+  };
+}
+
+// Indexes are positions in the results list (end inclusive)
+function longestFlaggedRun(results) {
+  let best = null;
+  let start = null;
+  let characters = 0;
+
+  results.forEach((r, i) => {
+    if (r.level !== 'high' && r.level !== 'medium') {
+      start = null;
+      return;
+    }
+    if (start === null) {
+      start = i;
+      characters = 0;
+    }
+    characters += r.text.length;
+    if (!best || i - start + 1 > best.sentences) {
+      best = { sentences: i - start + 1, characters, start, end: i };
+    }
+  });
+
+  return best || { sentences: 0, characters: 0, start: null, end: null };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
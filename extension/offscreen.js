@@ -0,0 +1,170 @@
+// ========================================
+// offscreen.js - Model host for the service worker
+// ========================================
+// Loaded by offscreen.html, which background.js creates on demand. The
+// Transformers.js pipeline lives here so it survives service worker
+// restarts; the worker sends jobs (see lib/inference-jobs.js). The runtime
+// and weights are extension resources, checked against the bundle manifest
+// before use (see lib/bundle.js); nothing is fetched from the network.
+
+import { HOST_TARGET, runJob } from './lib/inference-jobs.js';
+import {
+  MANIFEST_PATH, RUNTIME_DIR, RUNTIME_ENTRY, MODELS_DIR, findBundledModel, verifyFiles
+} from './lib/bundle.js';
+
+// Texts classified per forward pass; each pass pads to its longest input
+const TENSOR_BATCH_SIZE = 8;
+
+let runtime = null; // Promise of the verified Transformers.js module
+let classifier = null;
+let loadedModelId = null;
+let loadedProfile = null;
+let loading = null; // { modelId, promise } of the newest load while one is in flight
+
+const handlers = {
+  async load({ modelId, profile }, progress) {
+    if (!modelId || !profile || !profile.model) {
+      throw new Error('load needs a model version id and its profile');
+    }
+    if (loadedModelId === modelId) {
+      return { modelId, warm: true };
+    }
+    // Loads run one after another, so the model requested last is the one
+    // left loaded; a request for the model already loading joins that load
+    if (!loading || loading.modelId !== modelId) {
+      const previous = loading ? loading.promise.catch(() => {}) : Promise.resolve();
+      loading = {
+        modelId,
+        promise: previous.then(() => (loadedModelId === modelId ? null : loadPipeline(modelId, profile, progress)))
+      };
+    }
+
+    const current = loading;
+    try {
+      await current.promise;
+    } finally {
+      if (loading === current) loading = null;
+    }
+    return { modelId, warm: false };
+  },
+
+  async classify({ modelId, texts }, progress) {
+    if (!classifier || loadedModelId !== modelId) {
+      throw new Error(`Model ${modelId} is not loaded`);
+    }
+
+    // Texts over the token limit are split into chunks classified separately
+    const inputs = [];
+    texts.forEach((text, owner) => {
+      chunkText(text, loadedProfile.maxLength).forEach(chunk => inputs.push({ text: chunk, owner }));
+    });
+
+    const predictions = [];
+    for (let i = 0; i < inputs.length; i += TENSOR_BATCH_SIZE) {
+      const batch = inputs.slice(i, i + TENSOR_BATCH_SIZE).map(input => input.text);
+      const top = await classifier(batch, { topk: 1 });
+      predictions.push(...top.map(({ label, score }) => ({ label, score })));
+      progress({ done: predictions.length, total: inputs.length });
+    }
+
+    const chunks = texts.map(() => []);
+    inputs.forEach(({ owner }, i) => chunks[owner].push(predictions[i]));
+    return {
+      outputs: chunks.map(list => (list.length === 1
+        ? list[0]
+        : { ...list.reduce((best, p) => (p.score > best.score ? p : best)), chunks: list }))
+    };
+  }
+};
+
+// Splits text into roughly equal runs of words that each fit within
+// maxLength tokens. Token counts are estimated from the whole text, so a
+// chunk may still run slightly over; the tokenizer truncates those.
+function chunkText(text, maxLength) {
+  const tokens = classifier.tokenizer.encode(text).length;
+  if (tokens <= maxLength) return [text];
+
+  const words = text.split(/\s+/).filter(Boolean);
+  const count = Math.min(words.length, Math.ceil(tokens / Math.max(1, maxLength - 2)));
+  const size = Math.ceil(words.length / count);
+  const chunks = [];
+  for (let i = 0; i < words.length; i += size) {
+    chunks.push(words.slice(i, i + size).join(' '));
+  }
+  return chunks;
+}
+
+async function loadManifest() {
+  try {
+    const response = await fetch(chrome.runtime.getURL(MANIFEST_PATH));
+    if (response.ok) return response.json();
+  } catch (error) {
+    // Not bundled
+  }
+  throw new Error('No bundled models (run npm run bundle-model)');
+}
+
+// Verifies the runtime files once, then imports the runtime and points it at
+// the bundled weights and WASM binaries
+function loadRuntime(manifest) {
+  if (!runtime) {
+    runtime = (async () => {
+      if (!manifest.runtime) throw new Error('The Transformers.js runtime is not bundled');
+      const base = chrome.runtime.getURL(RUNTIME_DIR);
+      await verifyFiles(base, manifest.runtime.files);
+
+      const transformers = await import(`${base}${RUNTIME_ENTRY}`);
+      transformers.env.allowRemoteModels = false;
+      transformers.env.allowLocalModels = true;
+      transformers.env.localModelPath = chrome.runtime.getURL(MODELS_DIR);
+      transformers.env.backends.onnx.wasm.wasmPaths = base;
+      return transformers;
+    })();
+    runtime.catch(() => { runtime = null; });
+  }
+  return runtime;
+}
+
+async function loadPipeline(modelId, profile, progress) {
+  const manifest = await loadManifest();
+  const bundled = findBundledModel(manifest, profile);
+  if (!bundled) {
+    throw new Error(`${profile.model} is not bundled with the extension`);
+  }
+
+  const { pipeline } = await loadRuntime(manifest);
+
+  // Progress is the share of model files checked so far
+  await verifyFiles(chrome.runtime.getURL(`${MODELS_DIR}${bundled.model}/`), bundled.files, {
+    onFile: (file, done, total) => progress({ file, progress: (done / total) * 100 })
+  });
+
+  const next = await pipeline(profile.task, profile.model, {
+    quantized: true // Use quantized model for faster loading
+  });
+  // Truncate inputs to the profile's limit
+  next.tokenizer.model_max_length = Math.min(next.tokenizer.model_max_length || Infinity, profile.maxLength);
+
+  // Warm up before swapping so classify jobs never hit a cold model
+  await next('This is a test sentence.');
+
+  const previous = classifier;
+  classifier = next;
+  loadedModelId = modelId;
+  loadedProfile = profile;
+  if (previous && previous.dispose) {
+    await previous.dispose();
+  }
+  console.log(`✓ Model ${modelId} (${profile.id}) loaded in offscreen document`);
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.target !== HOST_TARGET) return;
+
+  runJob(message, handlers, reply => {
+    // The worker may be restarting; a reply to a job it no longer knows
+    // about is dropped on its side anyway
+    chrome.runtime.sendMessage(reply).catch(() => {});
+  });
+  sendResponse({ accepted: true });
+});
@@ -0,0 +1,84 @@
+// ========================================
+// options.js - Extension Settings
+// ========================================
+
+import { DEFAULT_WEIGHTS } from './lib/detectors.js';
+import { DEFAULT_BUDGET } from './lib/budget.js';
+
+const WEIGHT_INPUTS = { heuristic: 'weightHeuristic', model: 'weightModel', http: 'weightHttp' };
+
+const BUDGET_INPUTS = { maxSentences: 'budgetSentences', maxSeconds: 'budgetSeconds' };
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const { settings = {} } = await chrome.storage.sync.get('settings');
+  const weights = { ...DEFAULT_WEIGHTS, ...settings.ensembleWeights };
+  const budget = { ...DEFAULT_BUDGET, ...settings.analysisBudget };
+  
+  document.getElementById('backendUrl').value = settings.backendUrl ?? 'http://localhost:3000';
+  document.getElementById('apiKey').value = settings.apiKey || '';
+  document.getElementById('shareMode').value = settings.shareMode || 'text';
+  document.getElementById('httpDetectorUrl').value = settings.httpDetectorUrl || '';
+  Object.entries(WEIGHT_INPUTS).forEach(([id, input]) => {
+    document.getElementById(input).value = weights[id];
+  });
+  Object.entries(BUDGET_INPUTS).forEach(([key, input]) => {
+    document.getElementById(input).value = budget[key];
+  });
+  
+  document.getElementById('saveBtn').addEventListener('click', saveSettings);
+});
+
+async function saveSettings() {
+  const statusEl = document.getElementById('saveStatus');
+  const backendUrl = document.getElementById('backendUrl').value.trim();
+  const apiKey = document.getElementById('apiKey').value.trim();
+  const shareMode = document.getElementById('shareMode').value;
+  const httpDetectorUrl = document.getElementById('httpDetectorUrl').value.trim();
+  const ensembleWeights = Object.fromEntries(Object.entries(WEIGHT_INPUTS).map(([id, input]) =>
+    [id, Number(document.getElementById(input).value)]
+  ));
+  const analysisBudget = Object.fromEntries(Object.entries(BUDGET_INPUTS).map(([key, input]) =>
+    [key, Number(document.getElementById(input).value)]
+  ));
+  
+  const weights = Object.values(ensembleWeights);
+  if (weights.some(weight => !Number.isFinite(weight) || weight < 0)) {
+    statusEl.textContent = '✗ Detector weights must be numbers of 0 or more';
+    return;
+  }
+  if (!weights.some(weight => weight > 0)) {
+    statusEl.textContent = '✗ At least one detector needs a weight above 0';
+    return;
+  }
+  if (ensembleWeights.http > 0 && !httpDetectorUrl) {
+    statusEl.textContent = '✗ The HTTP detector needs a URL';
+    return;
+  }
+  if (!Number.isInteger(analysisBudget.maxSentences) || analysisBudget.maxSentences < 1 ||
+      !Number.isFinite(analysisBudget.maxSeconds) || analysisBudget.maxSeconds <= 0) {
+    statusEl.textContent = '✗ The page budget needs a whole number of sentences and a positive number of seconds';
+    return;
+  }
+  
+  try {
+    // Hosts other than localhost need an explicit host permission
+    for (const [url, name] of [[backendUrl, 'the backend'], [httpDetectorUrl, 'the HTTP detector']]) {
+      if (!url) continue;
+      const origin = new URL(url).origin;
+      const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+      if (!granted) {
+        statusEl.textContent = `✗ Permission for ${name} was denied`;
+        return;
+      }
+    }
+    
+    const { settings = {} } = await chrome.storage.sync.get('settings');
+    await chrome.storage.sync.set({
+      settings: { ...settings, backendUrl, apiKey, shareMode, ensembleWeights, httpDetectorUrl, analysisBudget }
+    });
+    statusEl.textContent = '✓ Saved';
+    
+  } catch (error) {
+    statusEl.textContent = `✗ ${error.message}`;
+  }
+}
@@ -1,9 +1,164 @@
-// Basic communication between popup and content script
-
-document.getElementById('analyze').onclick = function() {
-  // Send a message to the active tab
-  chrome.tabs.query({active:true, currentWindow:true}, function(tabs) {
-    const activeTab = tabs[0];
-    chrome.tabs.sendMessage(activeTab.id, {type: 'RUN_DETECTION'});
-  });
-};
+import { VERDICT_LABELS, describeLanguages, describePartial } from './lib/verdict-text.js';
+
+let currentTab = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  // Get current tab
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  currentTab = tab;
+  
+  // Check model status
+  checkModelStatus();
+  
+  // Load statistics
+  loadPageVerdict();
+  loadStatistics();
+  loadThresholdLegend();
+  
+  // Setup button listeners
+  document.getElementById('detectBtn').addEventListener('click', startDetection);
+  document.getElementById('clearBtn').addEventListener('click', clearDetection);
+});
+
+async function checkModelStatus() {
+  const statusEl = document.getElementById('status');
+  const detectBtn = document.getElementById('detectBtn');
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getModelStatus' });
+    
+    if (response.success) {
+      if (!response.enabled) {
+        // The model has no weight in the ensemble; the rules run alone
+        statusEl.className = 'status ready';
+        statusEl.innerHTML = '<span>✓</span><span>Ready (model disabled)</span>';
+        detectBtn.disabled = false;
+      } else if (!response.bundled) {
+        // No detection model ships with this build; the rules run alone
+        statusEl.className = 'status ready';
+        statusEl.innerHTML = '<span>✓</span><span>Ready (rules only, no detection model)</span>';
+        detectBtn.disabled = false;
+      } else if (response.loaded) {
+        statusEl.className = 'status ready';
+        statusEl.innerHTML = '<span>✓</span><span>Model ready</span>';
+        detectBtn.disabled = false;
+      } else if (response.loading) {
+        statusEl.className = 'status loading';
+        const progress = response.progress === null ? '' : ` ${response.progress}%`;
+        statusEl.innerHTML = `<span class="spinner"></span><span>Verifying model...${progress}</span>`;
+        // Check again in 2 seconds
+        setTimeout(checkModelStatus, 2000);
+      } else {
+        // Detection still works on the rules alone
+        statusEl.className = 'status error';
+        statusEl.innerHTML = '<span>✗</span><span>Model failed to load (using rules only)</span>';
+        statusEl.title = response.error || '';
+        detectBtn.disabled = false;
+      }
+    }
+  } catch (error) {
+    statusEl.className = 'status error';
+    statusEl.innerHTML = '<span>✗</span><span>Connection error</span>';
+  }
+}
+
+// Verdict for the page in the current tab, if it has been analyzed
+async function loadPageVerdict() {
+  try {
+    const response = await chrome.tabs.sendMessage(currentTab.id, { action: 'getPageInfo' });
+    const verdict = response && response.info && response.info.verdict;
+    if (!verdict) return;
+    const { partial } = response.info;
+    
+    const percent = value => `${Math.round(value * 100)}%`;
+    const interval = verdict.confidenceInterval;
+    const run = verdict.longestFlaggedRun.sentences;
+    
+    document.getElementById('verdict').className = `verdict visible ${verdict.level}`;
+    document.getElementById('verdictTitle').textContent = VERDICT_LABELS[verdict.level];
+    document.getElementById('verdictScore').textContent =
+      verdict.aiLikelihood === null ? '–' : percent(verdict.aiLikelihood);
+    document.getElementById('verdictInterval').textContent = interval
+      ? `95% CI ${percent(interval.lower)}–${percent(interval.upper)}`
+      : '';
+    ['high', 'medium', 'low', 'unsupported'].forEach(level => {
+      const id = `share${level[0].toUpperCase()}${level.slice(1)}`;
+      document.getElementById(id).style.width = percent(verdict.share[level]);
+    });
+    document.getElementById('verdictDetail').textContent =
+      `${percent(verdict.share.high + verdict.share.medium)} of text flagged · ` +
+      `longest flagged run ${run} sentence${run === 1 ? '' : 's'} · ${verdict.sentences} sentences` +
+      (verdict.unsupportedSentences ? ` · ${verdict.unsupportedSentences} unsupported` : '');
+    document.getElementById('verdictLanguages').textContent = describeLanguages(verdict.languages);
+    // The page budget or Stop ended the analysis before every sentence was scored
+    document.getElementById('verdictPartial').textContent = partial ? describePartial(partial) : '';
+  } catch (error) {
+    // No content script on this page (e.g. chrome:// URLs)
+  }
+}
+
+async function loadStatistics() {
+  try {
+    const { analysisStats } = await chrome.storage.local.get('analysisStats');
+    
+    if (analysisStats) {
+      document.getElementById('highCount').textContent = analysisStats.high || 0;
+      document.getElementById('mediumCount').textContent = analysisStats.medium || 0;
+      document.getElementById('lowCount').textContent = analysisStats.low || 0;
+      if (analysisStats.languages) {
+        document.getElementById('statsLanguages').textContent =
+          describeLanguages(analysisStats.languages, count => `${count}`);
+      }
+    }
+  } catch (error) {
+    console.error('Error loading statistics:', error);
+  }
+}
+
+// Show the calibrated cut-offs the background is currently using
+async function loadThresholdLegend() {
+  try {
+    const { thresholds } = await chrome.storage.local.get('thresholds');
+    if (!thresholds) return;
+    
+    const high = Math.round(thresholds.high * 100);
+    const medium = Math.round(thresholds.medium * 100);
+    document.getElementById('legendHigh').textContent = `High (>${high}%): Likely AI-generated`;
+    document.getElementById('legendMedium').textContent = `Medium (${medium}-${high}%): Possibly AI`;
+    document.getElementById('legendLow').textContent = `Low (<${medium}%): Likely human`;
+  } catch (error) {
+    console.error('Error loading thresholds:', error);
+  }
+}
+
+async function startDetection() {
+  const detectBtn = document.getElementById('detectBtn');
+  detectBtn.disabled = true;
+  detectBtn.textContent = 'Analyzing...';
+  
+  try {
+    await chrome.tabs.sendMessage(currentTab.id, { action: 'startDetection' });
+    
+    // Wait a bit then reload stats
+    setTimeout(() => {
+      loadStatistics();
+      detectBtn.textContent = 'Analyze This Page';
+      detectBtn.disabled = false;
+      window.close(); // Close popup after starting
+    }, 500);
+    
+  } catch (error) {
+    console.error('Error starting detection:', error);
+    detectBtn.textContent = 'Error - Try Again';
+    detectBtn.disabled = false;
+  }
+}
+
+async function clearDetection() {
+  try {
+    await chrome.tabs.sendMessage(currentTab.id, { action: 'stopDetection' });
+    window.close();
+  } catch (error) {
+    console.error('Error clearing detection:', error);
+  }
+}
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_PROFILE, MODEL_PROFILES } from '../lib/models.js';
+import { MANIFEST_PATH, RUNTIME_DIR, RUNTIME_ENTRY, MODELS_DIR, sha256Hex } from '../lib/bundle.js';
+
+// Downloads the Transformers.js runtime and a model's weights into the
+// extension and records their checksums in models/manifest.json (see
+// lib/bundle.js), so the extension runs the model without network access.
+//
+//   npm run bundle-model -- [--profile chatgpt-detector-roberta] [--from DIR]
+//
+// Bundles the model of a built-in profile (lib/models.js), the default
+// profile unless given. Run it again with another profile to bundle several;
+// the runtime is only fetched when missing or outdated.
+//
+// Transformers.js needs ONNX weights (onnx/model_quantized.onnx). Models
+// published with PyTorch weights only, like the default profile's, have to
+// be converted first with the Transformers.js conversion script:
+//
+//   git clone -b 2.6.0 https://github.com/xenova/transformers.js
+//   cd transformers.js && pip install -r scripts/requirements.txt
+//   python -m scripts.convert --quantize --model_id Hello-SimpleAI/chatgpt-detector-roberta
+//
+// and bundled from the output with
+// --from transformers.js/models/Hello-SimpleAI/chatgpt-detector-roberta.
+// Without --from the files are downloaded from the model's HuggingFace repo.
+
+const TRANSFORMERS_VERSION = '2.6.0';
+const RUNTIME_URL = `https://cdn.jsdelivr.net/npm/@xenova/transformers@${TRANSFORMERS_VERSION}/dist/`;
+const RUNTIME_FILES = [
+  RUNTIME_ENTRY,
+  'ort-wasm.wasm',
+  'ort-wasm-simd.wasm',
+  'ort-wasm-threaded.wasm',
+  'ort-wasm-simd-threaded.wasm'
+];
+
+// What a quantized text-classification pipeline reads
+const MODEL_FILES = ['config.json', 'tokenizer.json', 'tokenizer_config.json', 'onnx/model_quantized.onnx'];
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const args = process.argv.slice(2);
+
+function option(name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+// Downloads url to file under the extension; returns its sha256
+async function download(url, file) {
+  const response = await fetch(url).catch(error => {
+    throw new Error(`${url}: ${error.message}`);
+  });
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status}`);
+  }
+  const buffer = await response.arrayBuffer();
+  const target = path.join(root, file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, Buffer.from(buffer));
+  console.log(`  ${file} (${(buffer.byteLength / 1e6).toFixed(1)} MB)`);
+  return sha256Hex(buffer);
+}
+
+// Copies a local file under the extension; returns its sha256
+async function copy(source, file) {
+  if (!fs.existsSync(source)) {
+    throw new Error(`${source} is missing; convert the model first (see the top of this script)`);
+  }
+  const buffer = fs.readFileSync(source);
+  const target = path.join(root, file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, buffer);
+  console.log(`  ${file} (${(buffer.byteLength / 1e6).toFixed(1)} MB)`);
+  return sha256Hex(buffer);
+}
+
+async function copyAll(sourceDir, dir, files) {
+  const hashes = {};
+  for (const file of files) {
+    hashes[file] = await copy(path.join(sourceDir, file), `${dir}${file}`);
+  }
+  return hashes;
+}
+
+async function downloadAll(baseUrl, dir, files) {
+  const hashes = {};
+  for (const file of files) {
+    hashes[file] = await download(`${baseUrl}${file}`, `${dir}${file}`);
+  }
+  return hashes;
+}
+
+function readManifest() {
+  const file = path.join(root, MANIFEST_PATH);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { runtime: null, models: [] };
+}
+
+async function run() {
+  const profile = MODEL_PROFILES[option('profile', DEFAULT_PROFILE)];
+  if (!profile) {
+    throw new Error(`Unknown profile; choose one of ${Object.keys(MODEL_PROFILES).join(', ')}`);
+  }
+  const { model } = profile;
+  const manifest = readManifest();
+
+  if (!manifest.runtime || manifest.runtime.version !== TRANSFORMERS_VERSION) {
+    console.log(`Transformers.js ${TRANSFORMERS_VERSION} → ${RUNTIME_DIR}`);
+    manifest.runtime = {
+      version: TRANSFORMERS_VERSION,
+      files: await downloadAll(RUNTIME_URL, RUNTIME_DIR, RUNTIME_FILES)
+    };
+  }
+
+  const from = option('from');
+  console.log(`${from || model} → ${MODELS_DIR}${model}/`);
+  const files = from
+    ? await copyAll(path.resolve(from), `${MODELS_DIR}${model}/`, MODEL_FILES)
+    : await downloadAll(`https://huggingface.co/${model}/resolve/main/`, `${MODELS_DIR}${model}/`, MODEL_FILES)
+      .catch(error => {
+        throw new Error(`${error.message}\n  If the repo has no ONNX weights, convert them and pass --from (see the top of this script)`);
+      });
+  const entry = {
+    id: profile.id,
+    model,
+    files,
+    bundled_at: new Date().toISOString()
+  };
+  manifest.models = (manifest.models || []).filter(existing => existing.model !== model).concat(entry);
+
+  fs.writeFileSync(path.join(root, MANIFEST_PATH), JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`✓ Wrote ${MANIFEST_PATH}`);
+}
+
+run().catch(error => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
@@ -1,1542 +0,0 @@
-// ========================================
-// manifest.json - Chrome Extension Manifest
-// ========================================
-{
-  "manifest_version": 3,
-  "name": "AI Content Detector",
-  "version": "1.0.0",
-  "description": "Detect AI-generated text using HuggingFace models",
-  "permissions": [
-    "activeTab",
-    "storage",
-    "scripting"
-  ],
-  "host_permissions": [
-    "https://cdn.jsdelivr.net/*"
-  ],
-  "background": {
-    "service_worker": "background.js",
-    "type": "module"
-  },
-  "content_scripts": [
-    {
-      "matches": ["<all_urls>"],
-      "js": ["mark.min.js", "content.js"],
-      "css": ["content.css"],
-      "run_at": "document_idle"
-    }
-  ],
-  "action": {
-    "default_popup": "popup.html",
-    "default_icon": {
-      "16": "icons/icon16.png",
-      "48": "icons/icon48.png",
-      "128": "icons/icon128.png"
-    }
-  },
-  "web_accessible_resources": [
-    {
-      "resources": ["feedback-widget.html"],
-      "matches": ["<all_urls>"]
-    }
-  ],
-  "icons": {
-    "16": "icons/icon16.png",
-    "48": "icons/icon48.png",
-    "128": "icons/icon128.png"
-  }
-}
-
-// ========================================
-// background.js - Service Worker with HuggingFace Model
-// ========================================
-
-// Import Transformers.js from CDN
-let classifier = null;
-let modelLoaded = false;
-let modelLoadingPromise = null;
-
-// Initialize model on extension install/startup
-chrome.runtime.onInstalled.addListener(() => {
-  console.log('AI Detector extension installed');
-  initializeModel();
-});
-
-chrome.runtime.onStartup.addListener(() => {
-  console.log('AI Detector extension started');
-  initializeModel();
-});
-
-// Load HuggingFace model using Transformers.js
-async function initializeModel() {
-  if (modelLoadingPromise) {
-    return modelLoadingPromise;
-  }
-
-  modelLoadingPromise = (async () => {
-    try {
-      console.log('Loading AI detection model...');
-      
-      // Import Transformers.js
-      const { pipeline } = await import('https://cdn.jsdelivr.net/npm/@xenova/transformers@2.6.0');
-      
-      // Load text classification model
-      // Using a lightweight AI detector model
-      classifier = await pipeline(
-        'text-classification',
-        'Xenova/distilbert-base-uncased-finetuned-sst-2-english',
-        {
-          quantized: true // Use quantized model for faster loading
-        }
-      );
-      
-      modelLoaded = true;
-      console.log('✓ Model loaded successfully');
-      
-      // Store model status
-      await chrome.storage.local.set({ 
-        modelLoaded: true,
-        modelLoadTime: Date.now()
-      });
-      
-      // Warm up model with test inference
-      await classifier('This is a test sentence.');
-      console.log('✓ Model warmed up');
-      
-    } catch (error) {
-      console.error('✗ Error loading model:', error);
-      modelLoaded = false;
-      await chrome.storage.local.set({ modelLoaded: false });
-      throw error;
-    }
-  })();
-
-  return modelLoadingPromise;
-}
-
-// Handle messages from content script
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  // Validate sender
-  if (!sender.tab) {
-    sendResponse({ success: false, error: 'Invalid sender' });
-    return;
-  }
-
-  if (request.action === 'analyzeText') {
-    handleAnalyzeText(request.text, sender.tab.id)
-      .then(result => sendResponse({ success: true, result }))
-      .catch(error => sendResponse({ success: false, error: error.message }));
-    return true; // Keep channel open for async response
-  }
-  
-  if (request.action === 'submitFeedback') {
-    handleFeedback(request.feedback)
-      .then(() => sendResponse({ success: true }))
-      .catch(error => sendResponse({ success: false, error: error.message }));
-    return true;
-  }
-  
-  if (request.action === 'getModelStatus') {
-    sendResponse({ 
-      success: true, 
-      loaded: modelLoaded,
-      loading: !!modelLoadingPromise && !modelLoaded
-    });
-    return true;
-  }
-});
-
-// Analyze text with HuggingFace model
-async function handleAnalyzeText(text, tabId) {
-  // Ensure model is loaded
-  if (!modelLoaded) {
-    await initializeModel();
-  }
-
-  if (!classifier) {
-    throw new Error('Model not available');
-  }
-
-  // Split text into sentences for granular analysis
-  const sentences = text.match(/[^.!?]+[.!?]+/g) || [];
-  
-  if (sentences.length === 0) {
-    return [];
-  }
-
-  const results = [];
-  const batchSize = 5; // Process sentences in batches
-
-  console.log(`Analyzing ${sentences.length} sentences...`);
-
-  // Process in batches for efficiency
-  for (let i = 0; i < sentences.length; i += batchSize) {
-    const batch = sentences.slice(i, i + batchSize);
-    
-    const batchResults = await Promise.all(
-      batch.map(async (sentence) => {
-        const trimmed = sentence.trim();
-        
-        // Skip very short sentences
-        if (trimmed.length < 15) {
-          return null;
-        }
-
-        try {
-          // Run inference
-          const output = await classifier(trimmed, {
-            topk: 1
-          });
-          
-          // Extract probability
-          // Note: Model output format depends on the specific model
-          // For demo purposes, we'll use the score directly
-          const score = output[0].score;
-          
-          // Adjust score to represent AI-generation probability
-          // This is a simplified heuristic - in production, use a proper AI detector
-          const probability = calculateAIProbability(trimmed, score);
-          
-          return {
-            text: trimmed,
-            probability: probability,
-            level: probability > 0.7 ? 'high' : probability > 0.4 ? 'medium' : 'low',
-            modelScore: score,
-            modelLabel: output[0].label
-          };
-          
-        } catch (error) {
-          console.error('Error analyzing sentence:', error);
-          return null;
-        }
-      })
-    );
-
-    results.push(...batchResults.filter(r => r !== null));
-    
-    // Report progress
-    chrome.runtime.sendMessage({
-      action: 'analysisProgress',
-      progress: Math.min(100, Math.round(((i + batchSize) / sentences.length) * 100))
-    }).catch(() => {}); // Ignore errors if popup is closed
-  }
-
-  console.log(`✓ Analysis complete: ${results.length} results`);
-  
-  // Update statistics
-  await updateAnalysisStats(results);
-
-  return results;
-}
-
-// Calculate AI probability using heuristics + model score
-function calculateAIProbability(text, modelScore) {
-  let probability = 0.3; // Base probability
-  
-  // AI keyword indicators
-  const aiKeywords = [
-    'artificial intelligence', 'machine learning', 'furthermore',
-    'moreover', 'delve into', 'leverage', 'utilize', 'optimize',
-    'paradigm', 'comprehensive', 'robust', 'seamless'
-  ];
-  
-  const lowerText = text.toLowerCase();
-  
-  // Check for AI keywords
-  aiKeywords.forEach(keyword => {
-    if (lowerText.includes(keyword)) {
-      probability += 0.1;
-    }
-  });
-  
-  // Check for formal patterns
-  if (/\b(thus|hence|therefore|consequently)\b/i.test(text)) {
-    probability += 0.08;
-  }
-  
-  // Long complex sentences
-  if (text.split(' ').length > 25) {
-    probability += 0.05;
-  }
-  
-  // Incorporate model score (weighted)
-  probability += modelScore * 0.2;
-  
-  return Math.min(Math.max(probability, 0), 1);
-}
-
-// Store user feedback
-async function handleFeedback(feedback) {
-  try {
-    // Get existing feedback
-    const { feedbackData = [] } = await chrome.storage.local.get('feedbackData');
-    
-    // Add new feedback
-    feedbackData.push({
-      ...feedback,
-      timestamp: Date.now()
-    });
-    
-    // Store locally
-    await chrome.storage.local.set({ feedbackData });
-    
-    console.log(`✓ Feedback stored (${feedbackData.length} total)`);
-    
-    // Send to backend if we have enough data
-    if (feedbackData.length >= 10) {
-      await sendFeedbackToBackend(feedbackData);
-      // Clear sent feedback
-      await chrome.storage.local.set({ feedbackData: [] });
-    }
-    
-  } catch (error) {
-    console.error('Error storing feedback:', error);
-    throw error;
-  }
-}
-
-// Send feedback to backend API
-async function sendFeedbackToBackend(feedbackArray) {
-  try {
-    const BACKEND_URL = 'http://localhost:3000/api/feedback';
-    
-    const response = await fetch(BACKEND_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        feedback: feedbackArray.map(f => ({
-          text: f.text,
-          probability: f.probability,
-          level: f.level,
-          feedbackType: f.feedbackType,
-          url: anonymizeURL(f.url),
-          timestamp: f.timestamp
-        }))
-      })
-    });
-    
-    if (response.ok) {
-      console.log(`✓ Sent ${feedbackArray.length} feedback items to backend`);
-    } else {
-      console.warn('Backend returned error:', response.status);
-    }
-    
-  } catch (error) {
-    console.warn('Could not send feedback to backend:', error.message);
-    // Non-critical error - don't throw
-  }
-}
-
-// Anonymize URLs for privacy
-function anonymizeURL(url) {
-  try {
-    const urlObj = new URL(url);
-    return urlObj.hostname; // Only store domain
-  } catch {
-    return 'unknown';
-  }
-}
-
-// Update analysis statistics
-async function updateAnalysisStats(results) {
-  const { analysisStats = { total: 0, high: 0, medium: 0, low: 0 } } = 
-    await chrome.storage.local.get('analysisStats');
-  
-  results.forEach(r => {
-    analysisStats.total++;
-    analysisStats[r.level]++;
-  });
-  
-  await chrome.storage.local.set({ analysisStats });
-}
-
-// Keep service worker alive
-let keepAliveInterval;
-
-function startKeepAlive() {
-  if (keepAliveInterval) return;
-  
-  keepAliveInterval = setInterval(() => {
-    chrome.runtime.getPlatformInfo(() => {
-      // Just a ping to keep alive
-    });
-  }, 20000); // Every 20 seconds
-}
-
-startKeepAlive();
-
-// ========================================
-// content.js - Content Script with mark.js Integration
-// ========================================
-
-class AIDetectorContent {
-  constructor() {
-    this.markInstance = null;
-    this.highlights = [];
-    this.isActive = false;
-    this.feedbackWidgets = new Map();
-    this.init();
-  }
-
-  init() {
-    // Initialize mark.js
-    this.markInstance = new Mark(document.body);
-    
-    // Listen for messages from popup/background
-    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-      if (request.action === 'startDetection') {
-        this.startDetection();
-        sendResponse({ success: true });
-        return true;
-      }
-      
-      if (request.action === 'stopDetection') {
-        this.stopDetection();
-        sendResponse({ success: true });
-        return true;
-      }
-      
-      if (request.action === 'getPageInfo') {
-        sendResponse({
-          success: true,
-          info: {
-            highlightCount: this.highlights.length,
-            isActive: this.isActive
-          }
-        });
-        return true;
-      }
-    });
-  }
-
-  async startDetection() {
-    if (this.isActive) {
-      console.log('Detection already active');
-      return;
-    }
-
-    try {
-      // Show loading indicator
-      this.showLoadingOverlay();
-
-      // Extract text from page
-      const pageText = this.extractPageText();
-      
-      if (!pageText || pageText.length < 50) {
-        this.hideLoadingOverlay();
-        this.showNotification('Not enough text to analyze', 'warning');
-        return;
-      }
-
-      console.log(`Extracted ${pageText.length} characters`);
-
-      // Send to background for analysis
-      const response = await chrome.runtime.sendMessage({
-        action: 'analyzeText',
-        text: pageText
-      });
-
-      this.hideLoadingOverlay();
-
-      if (response.success && response.result) {
-        this.highlights = response.result;
-        this.applyHighlights();
-        this.isActive = true;
-        this.showNotification(
-          `Found ${this.highlights.length} segments to analyze`,
-          'success'
-        );
-      } else {
-        this.showNotification('Analysis failed: ' + (response.error || 'Unknown error'), 'error');
-      }
-
-    } catch (error) {
-      this.hideLoadingOverlay();
-      console.error('Detection error:', error);
-      this.showNotification('Error: ' + error.message, 'error');
-    }
-  }
-
-  stopDetection() {
-    this.clearHighlights();
-    this.isActive = false;
-    this.showNotification('Detection cleared', 'info');
-  }
-
-  extractPageText() {
-    // Try to find main content
-    const selectors = [
-      'article',
-      'main',
-      '[role="main"]',
-      '.content',
-      '.post-content',
-      '.article-content',
-      '#content'
-    ];
-
-    let contentElement = null;
-    for (const selector of selectors) {
-      contentElement = document.querySelector(selector);
-      if (contentElement) break;
-    }
-
-    // Fallback to body
-    if (!contentElement) {
-      contentElement = document.body;
-    }
-
-    // Clone to avoid modifying DOM
-    const clone = contentElement.cloneNode(true);
-
-    // Remove unwanted elements
-    clone.querySelectorAll('script, style, nav, header, footer, aside, .ai-detector-widget').forEach(el => el.remove());
-
-    return clone.innerText || clone.textContent;
-  }
-
-  applyHighlights() {
-    this.highlights.forEach((highlight, index) => {
-      // Use mark.js to highlight text
-      this.markInstance.mark(highlight.text, {
-        accuracy: {
-          value: 'exactly',
-          limiters: [',', '.', '!', '?']
-        },
-        separateWordSearch: false,
-        className: `ai-highlight ai-${highlight.level}`,
-        each: (element) => {
-          element.dataset.highlightId = index;
-          element.dataset.probability = (highlight.probability * 100).toFixed(1);
-          element.dataset.level = highlight.level;
-          
-          // Add tooltip on hover
-          element.title = `AI Probability: ${(highlight.probability * 100).toFixed(1)}%`;
-          
-          // Add feedback widget
-          this.addFeedbackWidget(element, index);
-        }
-      });
-    });
-
-    console.log(`✓ Applied ${this.highlights.length} highlights`);
-  }
-
-  addFeedbackWidget(element, highlightId) {
-    // Create feedback widget
-    const widget = document.createElement('span');
-    widget.className = 'ai-feedback-widget';
-    widget.innerHTML = `
-      <span class="ai-prob-badge">${this.highlights[highlightId].probability.toFixed(2)}</span>
-      <button class="ai-feedback-btn ai-thumbs-up" title="Correct detection">👍</button>
-      <button class="ai-feedback-btn ai-thumbs-down" title="Incorrect detection">👎</button>
-    `;
-
-    // Insert after highlighted element
-    element.parentNode.insertBefore(widget, element.nextSibling);
-
-    // Store reference
-    this.feedbackWidgets.set(highlightId, widget);
-
-    // Add event listeners
-    const thumbsUp = widget.querySelector('.ai-thumbs-up');
-    const thumbsDown = widget.querySelector('.ai-thumbs-down');
-
-    thumbsUp.addEventListener('click', (e) => {
-      e.stopPropagation();
-      this.submitFeedback(highlightId, 'agree');
-    });
-
-    thumbsDown.addEventListener('click', (e) => {
-      e.stopPropagation();
-      this.submitFeedback(highlightId, 'disagree');
-    });
-  }
-
-  async submitFeedback(highlightId, feedbackType) {
-    const highlight = this.highlights[highlightId];
-    const widget = this.feedbackWidgets.get(highlightId);
-
-    try {
-      await chrome.runtime.sendMessage({
-        action: 'submitFeedback',
-        feedback: {
-          text: highlight.text,
-          probability: highlight.probability,
-          level: highlight.level,
-          feedbackType: feedbackType,
-          url: window.location.href
-        }
-      });
-
-      // Visual feedback
-      if (widget) {
-        widget.classList.add('feedback-submitted');
-        widget.classList.add(`feedback-${feedbackType}`);
-        
-        setTimeout(() => {
-          widget.classList.remove('feedback-submitted');
-        }, 2000);
-      }
-
-      console.log(`✓ Feedback submitted: ${feedbackType}`);
-
-    } catch (error) {
-      console.error('Error submitting feedback:', error);
-    }
-  }
-
-  clearHighlights() {
-    // Remove mark.js highlights
-    this.markInstance.unmark();
-    
-    // Remove feedback widgets
-    document.querySelectorAll('.ai-feedback-widget').forEach(el => el.remove());
-    
-    this.highlights = [];
-    this.feedbackWidgets.clear();
-  }
-
-  showLoadingOverlay() {
-    const overlay = document.createElement('div');
-    overlay.id = 'ai-detector-loading';
-    overlay.innerHTML = `
-      <div class="ai-detector-loading-content">
-        <div class="ai-detector-spinner"></div>
-        <p>Analyzing content with AI detection model...</p>
-      </div>
-    `;
-    document.body.appendChild(overlay);
-  }
-
-  hideLoadingOverlay() {
-    const overlay = document.getElementById('ai-detector-loading');
-    if (overlay) {
-      overlay.remove();
-    }
-  }
-
-  showNotification(message, type = 'info') {
-    const notification = document.createElement('div');
-    notification.className = `ai-detector-notification ai-detector-${type}`;
-    notification.textContent = message;
-    
-    document.body.appendChild(notification);
-    
-    setTimeout(() => {
-      notification.classList.add('show');
-    }, 10);
-    
-    setTimeout(() => {
-      notification.classList.remove('show');
-      setTimeout(() => notification.remove(), 300);
-    }, 3000);
-  }
-}
-
-// Initialize detector
-const detector = new AIDetectorContent();
-
-// ========================================
-// content.css - Styles for Highlights and Widgets
-// ========================================
-
-/* Highlighted text styles */
-.ai-highlight {
-  position: relative;
-  padding: 2px 4px;
-  border-radius: 3px;
-  transition: all 0.2s ease;
-  cursor: help;
-}
-
-.ai-highlight:hover {
-  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
-  transform: translateY(-1px);
-}
-
-/* Color coding by probability */
-.ai-low {
-  background-color: rgba(34, 197, 94, 0.25);
-  border-bottom: 2px solid rgb(34, 197, 94);
-}
-
-.ai-medium {
-  background-color: rgba(249, 115, 22, 0.25);
-  border-bottom: 2px solid rgb(249, 115, 22);
-}
-
-.ai-high {
-  background-color: rgba(239, 68, 68, 0.25);
-  border-bottom: 2px solid rgb(239, 68, 68);
-}
-
-/* Feedback widget */
-.ai-feedback-widget {
-  display: inline-flex;
-  align-items: center;
-  gap: 4px;
-  margin-left: 6px;
-  padding: 3px 8px;
-  background: white;
-  border: 1px solid #e5e7eb;
-  border-radius: 6px;
-  font-size: 11px;
-  box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
-  vertical-align: middle;
-  animation: fadeIn 0.3s ease;
-}
-
-@keyframes fadeIn {
-  from {
-    opacity: 0;
-    transform: scale(0.9);
-  }
-  to {
-    opacity: 1;
-    transform: scale(1);
-  }
-}
-
-.ai-prob-badge {
-  font-weight: 600;
-  color: #6b7280;
-  font-size: 10px;
-}
-
-.ai-feedback-btn {
-  background: none;
-  border: none;
-  cursor: pointer;
-  font-size: 14px;
-  padding: 2px;
-  border-radius: 3px;
-  transition: all 0.2s;
-  line-height: 1;
-}
-
-.ai-feedback-btn:hover {
-  background: #f3f4f6;
-  transform: scale(1.2);
-}
-
-.ai-feedback-widget.feedback-submitted {
-  background: #10b981;
-  border-color: #059669;
-  animation: pulse 0.5s;
-}
-
-.ai-feedback-widget.feedback-agree {
-  background: #10b981 !important;
-}
-
-.ai-feedback-widget.feedback-disagree {
-  background: #ef4444 !important;
-}
-
-@keyframes pulse {
-  0%, 100% {
-    transform: scale(1);
-  }
-  50% {
-    transform: scale(1.05);
-  }
-}
-
-/* Loading overlay */
-#ai-detector-loading {
-  position: fixed;
-  top: 0;
-  left: 0;
-  right: 0;
-  bottom: 0;
-  background: rgba(0, 0, 0, 0.7);
-  display: flex;
-  align-items: center;
-  justify-content: center;
-  z-index: 999999;
-  backdrop-filter: blur(4px);
-}
-
-.ai-detector-loading-content {
-  background: white;
-  padding: 40px;
-  border-radius: 12px;
-  text-align: center;
-  box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
-}
-
-.ai-detector-spinner {
-  width: 50px;
-  height: 50px;
-  margin: 0 auto 20px;
-  border: 4px solid #e5e7eb;
-  border-top: 4px solid #6366f1;
-  border-radius: 50%;
-  animation: spin 1s linear infinite;
-}
-
-@keyframes spin {
-  to {
-    transform: rotate(360deg);
-  }
-}
-
-/* Notifications */
-.ai-detector-notification {
-  position: fixed;
-  top: 20px;
-  right: 20px;
-  padding: 16px 24px;
-  background: white;
-  border-radius: 8px;
-  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-  z-index: 999998;
-  opacity: 0;
-  transform: translateX(100%);
-  transition: all 0.3s ease;
-  max-width: 300px;
-}
-
-.ai-detector-notification.show {
-  opacity: 1;
-  transform: translateX(0);
-}
-
-.ai-detector-success {
-  border-left: 4px solid #10b981;
-}
-
-.ai-detector-error {
-  border-left: 4px solid #ef4444;
-}
-
-.ai-detector-warning {
-  border-left: 4px solid #f59e0b;
-}
-
-.ai-detector-info {
-  border-left: 4px solid #3b82f6;
-}
-
-/* Ensure widgets don't break layout */
-.ai-feedback-widget,
-.ai-highlight {
-  white-space: normal !important;
-}
-
-// ========================================
-// popup.html - Extension Popup Interface
-// ========================================
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <style>
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-    }
-    
-    body {
-      width: 350px;
-      padding: 20px;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-    }
-    
-    .container {
-      background: white;
-      border-radius: 12px;
-      padding: 20px;
-    }
-    
-    h1 {
-      font-size: 20px;
-      color: #1f2937;
-      margin-bottom: 8px;
-      display: flex;
-      align-items: center;
-      gap: 8px;
-    }
-    
-    .subtitle {
-      font-size: 13px;
-      color: #6b7280;
-      margin-bottom: 20px;
-    }
-    
-    .status {
-      padding: 12px;
-      border-radius: 8px;
-      margin-bottom: 16px;
-      font-size: 13px;
-      display: flex;
-      align-items: center;
-      gap: 8px;
-    }
-    
-    .status.loading {
-      background: #fef3c7;
-      color: #92400e;
-    }
-    
-    .status.ready {
-      background: #d1fae5;
-      color: #065f46;
-    }
-    
-    .status.error {
-      background: #fee2e2;
-      color: #991b1b;
-    }
-    
-    .stats {
-      display: grid;
-      grid-template-columns: repeat(3, 1fr);
-      gap: 8px;
-      margin-bottom: 16px;
-    }
-    
-    .stat-box {
-      padding: 12px;
-      border-radius: 8px;
-      text-align: center;
-    }
-    
-    .stat-box.high {
-      background: #fee2e2;
-    }
-    
-    .stat-box.medium {
-      background: #fed7aa;
-    }
-    
-    .stat-box.low {
-      background: #d1fae5;
-    }
-    
-    .stat-value {
-      font-size: 24px;
-      font-weight: bold;
-      color: #1f2937;
-    }
-    
-    .stat-label {
-      font-size: 11px;
-      color: #6b7280;
-      margin-top: 4px;
-    }
-    
-    button {
-      width: 100%;
-      padding: 14px;
-      border: none;
-      border-radius: 8px;
-      font-size: 14px;
-      font-weight: 600;
-      cursor: pointer;
-      transition: all 0.2s;
-      margin-bottom: 8px;
-    }
-    
-    .btn-primary {
-      background: #6366f1;
-      color: white;
-    }
-    
-    .btn-primary:hover:not(:disabled) {
-      background: #4f46e5;
-      transform: translateY(-2px);
-      box-shadow: 0 4px 12px rgba(99, 102, 241, 0.4);
-    }
-    
-    .btn-secondary {
-      background: #e5e7eb;
-      color: #374151;
-    }
-    
-    .btn-secondary:hover:not(:disabled) {
-      background: #d1d5db;
-    }
-    
-    button:disabled {
-      opacity: 0.5;
-      cursor: not-allowed;
-    }
-    
-    .legend {
-      margin-top: 16px;
-      padding-top: 16px;
-      border-top: 1px solid #e5e7eb;
-    }
-    
-    .legend-title {
-      font-size: 12px;
-      font-weight: 600;
-      color: #374151;
-      margin-bottom: 8px;
-    }
-    
-    .legend-item {
-      display: flex;
-      align-items: center;
-      gap: 8px;
-      font-size: 12px;
-      color: #6b7280;
-      margin: 6px 0;
-    }
-    
-    .legend-dot {
-      width: 12px;
-      height: 12px;
-      border-radius: 50%;
-    }
-    
-    .spinner {
-      display: inline-block;
-      width: 14px;
-      height: 14px;
-      border: 2px solid #f3f4f6;
-      border-top: 2px solid #6366f1;
-      border-radius: 50%;
-      animation: spin 1s linear infinite;
-    }
-    
-    @keyframes spin {
-      to { transform: rotate(360deg); }
-    }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <h1>🔍 AI Detector</h1>
-    <p class="subtitle">HuggingFace-powered detection</p>
-    
-    <div id="status" class="status loading">
-      <span class="spinner"></span>
-      <span>Loading model...</span>
-    </div>
-    
-    <div class="stats">
-      <div class="stat-box high">
-        <div class="stat-value" id="highCount">0</div>
-        <div class="stat-label">High</div>
-      </div>
-      <div class="stat-box medium">
-        <div class="stat-value" id="mediumCount">0</div>
-        <div class="stat-label">Medium</div>
-      </div>
-      <div class="stat-box low">
-        <div class="stat-value" id="lowCount">0</div>
-        <div class="stat-label">Low</div>
-      </div>
-    </div>
-    
-    <button id="detectBtn" class="btn-primary" disabled>
-      Analyze This Page
-    </button>
-    
-    <button id="clearBtn" class="btn-secondary">
-      Clear Highlights
-    </button>
-    
-    <div class="legend">
-      <div class="legend-title">Detection Levels</div>
-      <div class="legend-item">
-        <div class="legend-dot" style="background: #ef4444;"></div>
-        <span>High (>70%): Likely AI-generated</span>
-      </div>
-      <div class="legend-item">
-        <div class="legend-dot" style="background: #f97316;"></div>
-        <span>Medium (40-70%): Possibly AI</span>
-      </div>
-      <div class="legend-item">
-        <div class="legend-dot" style="background: #10b981;"></div>
-        <span>Low (<40%): Likely human</span>
-      </div>
-    </div>
-  </div>
-  
-  <script src="popup.js"></script>
-</body>
-</html>
-
-// ========================================
-// popup.js - Popup Logic
-// ========================================
-
-let currentTab = null;
-
-document.addEventListener('DOMContentLoaded', async () => {
-  // Get current tab
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  currentTab = tab;
-  
-  // Check model status
-  checkModelStatus();
-  
-  // Load statistics
-  loadStatistics();
-  
-  // Setup button listeners
-  document.getElementById('detectBtn').addEventListener('click', startDetection);
-  document.getElementById('clearBtn').addEventListener('click', clearDetection);
-});
-
-async function checkModelStatus() {
-  const statusEl = document.getElementById('status');
-  const detectBtn = document.getElementById('detectBtn');
-  
-  try {
-    const response = await chrome.runtime.sendMessage({ action: 'getModelStatus' });
-    
-    if (response.success) {
-      if (response.loaded) {
-        statusEl.className = 'status ready';
-        statusEl.innerHTML = '<span>✓</span><span>Model ready</span>';
-        detectBtn.disabled = false;
-      } else if (response.loading) {
-        statusEl.className = 'status loading';
-        statusEl.innerHTML = '<span class="spinner"></span><span>Loading model...</span>';
-        // Check again in 2 seconds
-        setTimeout(checkModelStatus, 2000);
-      } else {
-        statusEl.className = 'status error';
-        statusEl.innerHTML = '<span>✗</span><span>Model failed to load</span>';
-      }
-    }
-  } catch (error) {
-    statusEl.className = 'status error';
-    statusEl.innerHTML = '<span>✗</span><span>Connection error</span>';
-  }
-}
-
-async function loadStatistics() {
-  try {
-    const { analysisStats } = await chrome.storage.local.get('analysisStats');
-    
-    if (analysisStats) {
-      document.getElementById('highCount').textContent = analysisStats.high || 0;
-      document.getElementById('mediumCount').textContent = analysisStats.medium || 0;
-      document.getElementById('lowCount').textContent = analysisStats.low || 0;
-    }
-  } catch (error) {
-    console.error('Error loading statistics:', error);
-  }
-}
-
-async function startDetection() {
-  const detectBtn = document.getElementById('detectBtn');
-  detectBtn.disabled = true;
-  detectBtn.textContent = 'Analyzing...';
-  
-  try {
-    await chrome.tabs.sendMessage(currentTab.id, { action: 'startDetection' });
-    
-    // Wait a bit then reload stats
-    setTimeout(() => {
-      loadStatistics();
-      detectBtn.textContent = 'Analyze This Page';
-      detectBtn.disabled = false;
-      window.close(); // Close popup after starting
-    }, 500);
-    
-  } catch (error) {
-    console.error('Error starting detection:', error);
-    detectBtn.textContent = 'Error - Try Again';
-    detectBtn.disabled = false;
-  }
-}
-
-async function clearDetection() {
-  try {
-    await chrome.tabs.sendMessage(currentTab.id, { action: 'stopDetection' });
-    window.close();
-  } catch (error) {
-    console.error('Error clearing detection:', error);
-  }
-}
-
-// ========================================
-// INSTALLATION GUIDE (README.md)
-// ========================================
-
-# AI Content Detector - Complete Installation Guide
-
-## Prerequisites
-- Chrome Browser (version 88+)
-- Node.js 18+ (for backend)
-- Internet connection (to download HuggingFace models)
-
-## Quick Setup (5 minutes)
-
-### Step 1: Download mark.js
-The extension requires mark.js for text highlighting.
-
-**Option A: Download from CDN**
-```bash
-curl -o mark.min.js https://cdnjs.cloudflare.com/ajax/libs/mark.js/8.11.1/mark.min.js
-```
-
-**Option B: Install via npm**
-```bash
-npm install mark.js
-cp node_modules/mark.js/dist/mark.min.js ./
-```
-
-Place `mark.min.js` in your extension folder.
-
-### Step 2: Create Extension Icons
-Create a simple icon or use the Python script:
-
-```python
-# create_icons.py
-from PIL import Image, ImageDraw, ImageFont
-
-def create_icon(size):
-    img = Image.new('RGB', (size, size), color='#6366f1')
-    draw = ImageDraw.Draw(img)
-    
-    text = "AI"
-    try:
-        font = ImageFont.truetype("Arial.ttf", size // 2)
-    except:
-        font = ImageFont.load_default()
-    
-    bbox = draw.textbbox((0, 0), text, font=font)
-    w, h = bbox[2] - bbox[0], bbox[3] - bbox[1]
-    draw.text(((size-w)/2, (size-h)/2), text, fill='white', font=font)
-    
-    import os
-    os.makedirs('icons', exist_ok=True)
-    img.save(f'icons/icon{size}.png')
-
-for size in [16, 48, 128]:
-    create_icon(size)
-
-print("✓ Icons created!")
-```
-
-Run: `python create_icons.py`
-
-### Step 3: Load Extension in Chrome
-
-1. Open Chrome and go to `chrome://extensions/`
-2. Enable **Developer mode** (toggle in top-right)
-3. Click **Load unpacked**
-4. Select your extension folder
-5. The extension icon should appear in your toolbar!
-
-### Step 4: First Use
-
-1. Visit any webpage with text content (try Wikipedia, Medium, or a blog)
-2. Click the extension icon
-3. Wait for "Model ready" status (first load takes 10-30 seconds)
-4. Click "Analyze This Page"
-5. Watch as AI-generated content gets highlighted!
-
-## How It Works
-
-### Architecture Overview
-
-```
-┌─────────────────┐
-│   Web Page      │
-│  (Content)      │
-└────────┬────────┘
-         │
-         ▼
-┌─────────────────┐
-│ content.js      │
-│ • Extracts text │
-│ • Applies       │
-│   highlights    │
-└────────┬────────┘
-         │
-         ▼
-┌─────────────────┐
-│ background.js   │
-│ • Loads HF      │
-│   model         │
-│ • Analyzes text │
-└────────┬────────┘
-         │
-         ▼
-┌─────────────────┐
-│ HuggingFace     │
-│ Model           │
-│ (Transformers.js)│
-└─────────────────┘
-```
-
-### Components
-
-1. **manifest.json**: Extension configuration
-2. **background.js**: Service worker that loads and runs the HuggingFace model
-3. **content.js**: Injected into web pages, extracts text and applies highlights
-4. **popup.html/js**: User interface for controlling the extension
-5. **mark.js**: Library for highlighting text
-
-### Model Details
-
-The extension uses **Transformers.js** to run HuggingFace models directly in the browser:
-
-- **Model**: `Xenova/distilbert-base-uncased-finetuned-sst-2-english`
-- **Type**: Text classification
-- **Size**: ~250MB (quantized)
-- **Speed**: ~100-200ms per sentence on modern hardware
-
-The model is downloaded and cached on first use. Subsequent loads are instant.
-
-## Features
-
-### ✅ Core Features (MVP)
-
-- ✓ Client-side AI detection (no data sent to servers)
-- ✓ Real-time text analysis
-- ✓ Color-coded highlights (red/orange/green)
-- ✓ Probability scores on hover
-- ✓ Thumbs up/down feedback
-- ✓ Statistics tracking
-- ✓ Privacy-focused (local processing)
-
-### 🔄 Feedback Loop
-
-Users can provide feedback on each detection:
-- **👍 Thumbs Up**: Confirms the detection is correct
-- **👎 Thumbs Down**: Reports a misclassification
-
-Feedback is:
-1. Stored locally
-2. Batched (10 items at a time)
-3. Sent to backend (anonymized)
-4. Used to improve future models
-
-## Backend Setup (Optional)
-
-The extension works standalone, but you can set up a backend to collect feedback:
-
-```bash
-cd backend
-npm install
-npm start
-```
-
-The backend runs on `http://localhost:3000` and provides:
-- `POST /api/feedback` - Collect user feedback
-- `GET /api/stats` - Get aggregated statistics
-
-## Configuration
-
-### Adjusting Detection Thresholds
-
-Edit `background.js` to change probability thresholds:
-
-```javascript
-function calculateAIProbability(text, modelScore) {
-  let probability = 0.3; // Base probability (adjust 0.0-1.0)
-  
-  // Adjust keyword weights
-  aiKeywords.forEach(keyword => {
-    if (lowerText.includes(keyword)) {
-      probability += 0.1; // Adjust sensitivity
-    }
-  });
-  
-  return Math.min(Math.max(probability, 0), 1);
-}
-```
-
-### Changing the Model
-
-To use a different HuggingFace model:
-
-```javascript
-// In background.js
-classifier = await pipeline(
-  'text-classification',
-  'your-model-name-here', // e.g., 'Hello-SimpleAI/chatgpt-detector-roberta'
-  {
-    quantized: true
-  }
-);
-```
-
-**Recommended AI detector models:**
-- `Hello-SimpleAI/chatgpt-detector-roberta`
-- `roberta-base-openai-detector`
-- `Hello-SimpleAI/chatgpt-qa-detector-roberta`
-
-## Troubleshooting
-
-### Model Not Loading
-
-**Problem**: "Model failed to load" message
-
-**Solutions**:
-1. Check internet connection (model downloads from CDN)
-2. Clear browser cache: `chrome://settings/clearBrowserData`
-3. Check console for errors: Right-click extension icon → "Inspect popup" → Console tab
-
-### Extension Not Working on Page
-
-**Problem**: No highlights appear after clicking "Analyze"
-
-**Solutions**:
-1. Refresh the page and try again
-2. Check if page has enough text (minimum 50 characters)
-3. Some sites block content scripts (e.g., Chrome Web Store)
-4. Check console: F12 → Console tab
-
-### High Memory Usage
-
-**Problem**: Extension uses a lot of memory
-
-**Solutions**:
-1. The model is ~250MB - this is normal
-2. Memory is released when extension is inactive
-3. Restart Chrome to clear cache
-
-### Slow Analysis
-
-**Problem**: Analysis takes too long
-
-**Solutions**:
-1. First analysis loads the model (10-30 seconds)
-2. Subsequent analyses are fast (1-3 seconds)
-3. Long pages with lots of text take longer
-4. Consider using a lighter model
-
-## Performance Tips
-
-1. **First Load**: Model downloads on first use (~250MB). Be patient!
-2. **Caching**: Model is cached after first load
-3. **Batch Processing**: Sentences are analyzed in batches of 5
-4. **Progressive Highlighting**: Results appear as they're processed
-
-## Privacy & Security
-
-### What Data is Collected?
-
-**Locally stored**:
-- Analysis results (on your device)
-- User feedback (on your device)
-- Extension settings (on your device)
-
-**Sent to backend** (only if backend is configured):
-- Anonymized feedback (text snippet, probability, feedback type)
-- Domain name only (not full URL)
-- No personal information
-- No browsing history
-
-### How to Disable Data Sharing
-
-To keep everything 100% local:
-1. Don't set up the backend server
-2. Or comment out the backend URL in `background.js`:
-
-```javascript
-// const BACKEND_URL = 'http://localhost:3000/api/feedback';
-const BACKEND_URL = null; // Disable backend
-```
-
-## Upgrading to Production
-
-### 1. Use a Proper AI Detector Model
-
-Replace the demo model with a real AI detector:
-
-```javascript
-classifier = await pipeline(
-  'text-classification',
-  'Hello-SimpleAI/chatgpt-detector-roberta'
-);
-```
-
-### 2. Add Model Versioning
-
-Track which model version users have:
-
-```javascript
-const MODEL_VERSION = '1.0.0';
-await chrome.storage.local.set({ modelVersion: MODEL_VERSION });
-```
-
-### 3. Implement Auto-Updates
-
-Check for model updates periodically:
-
-```javascript
-setInterval(async () => {
-  const response = await fetch('https://your-api.com/model-version');
-  const { version } = await response.json();
-  
-  if (version !== MODEL_VERSION) {
-    // Download and update model
-  }
-}, 24 * 60 * 60 * 1000); // Daily
-```
-
-### 4. Add Analytics
-
-Track usage (privacy-respecting):
-
-```javascript
-chrome.storage.local.get('stats', ({ stats = {} }) => {
-  stats.totalAnalyses = (stats.totalAnalyses || 0) + 1;
-  chrome.storage.local.set({ stats });
-});
-```
-
-### 5. Publish to Chrome Web Store
-
-1. Create developer account ($5 one-time fee)
-2. Prepare store listing (screenshots, description)
-3. Zip extension folder
-4. Upload to dashboard
-5. Submit for review
-
-## Future Enhancements
-
-### Phase 2: Multimodal Detection
-
-Add image/audio/video detection:
-
-```javascript
-// Image detection with CLIP
-const imageClassifier = await pipeline(
-  'zero-shot-image-classification',
-  'Xenova/clip-vit-base-patch32'
-);
-
-const result = await imageClassifier(imageData, {
-  candidate_labels: ['AI-generated', 'Real photo']
-});
-```
-
-### Phase 3: Advanced Features
-
-- Real-time detection (as you type)
-- Confidence heatmaps
-- Export reports
-- Team collaboration
-- API for third-party apps
-
-## Support
-
-- **Issues**: Report bugs or request features
-- **Documentation**: Full API docs
-- **Community**: Join discussions
-- **Email**: support@example.com
-
-## License
-
-MIT License - Free to use, modify, and distribute
-
----
-
-**Built with ❤️ using HuggingFace Transformers.js**
\ No newline at end of file